@@ -0,0 +1,147 @@
+/**
+ * Site bootstrap
+ * - The one place that starts the page's scripts, once and in a fixed order:
+ *   partials (bundles download meanwhile) -> translation -> Flutter links ->
+ *   mobile nav and dropdowns, theme toggles, footer selectors, the contact
+ *   form, pricing and site search -> debug panel (non-prod) -> in-place
+ *   navigation
+ * - window.site.update(root) runs the same steps once over content added later
+ *   (includes inserted by other scripts, swapped-in markup)
+ * - Currency selects ([data-currency-select]) set the shared "currency"
+ *   preference and dispatch currencyChanged with { currency }
+ * - Ready promises: window.site.partialsReady, languageReady, environmentReady
+ *   and ready
+ * - Registers the service worker (/sw.js) on pages built by scripts/build.js;
+ *   the unbuilt sources are never cached
+ *
+ * Load it last, after logger.js, language-manager.js, partials-loader.js,
+ * campaign-tracker.js, environment-redirect.js, mobile-nav.js, debug-panel.js,
+ * page-navigation.js and the page's own scripts: contact-form.js on the
+ * contact page, pricing.js on the pricing page, site-search.js on the 404
+ * page (preferences.js and theme-manager.js load in <head>).
+ */
+(function() {
+  const log = window.logger ? window.logger.create('Bootstrap') : console;
+  const languageManager = new LanguageManager({ autoInit: false });
+  window.languageManager = languageManager;
+
+  // Set lang/dir right away so RTL pages do not render left-to-right first
+  languageManager.updatePageLanguage();
+
+  // Language selector logic
+  function bindLanguageSelect() {
+    const languageSelect = document.getElementById('footerLanguageSelect');
+    if (!languageSelect || languageSelect.hasAttribute('data-language-select-ready')) return;
+    languageSelect.setAttribute('data-language-select-ready', 'true');
+    languageSelect.value = languageManager.currentLanguage;
+    languageSelect.addEventListener('change', (e) => {
+      languageManager.setLanguage(e.target.value);
+    });
+  }
+
+  // Currency of the currency selectors (footer, pricing page): the shared
+  // "currency" preference, else the language's
+  function getCurrency() {
+    const stored = window.preferences ? window.preferences.get('currency') : null;
+    return stored || languageManager.getLocale(languageManager.currentLanguage).currency;
+  }
+
+  function showCurrency() {
+    document.querySelectorAll('[data-currency-select]').forEach(select => { select.value = getCurrency(); });
+  }
+
+  function bindCurrencySelects(root) {
+    root.querySelectorAll('[data-currency-select]:not([data-currency-select-ready])').forEach(select => {
+      select.setAttribute('data-currency-select-ready', 'true');
+      select.value = getCurrency();
+      select.addEventListener('change', () => {
+        if (window.preferences) window.preferences.set('currency', select.value);
+        showCurrency();
+        document.dispatchEvent(new CustomEvent('currencyChanged', { detail: { currency: select.value } }));
+      });
+    });
+  }
+
+  // Offline support; the worker's cache version changes with every build
+  function registerServiceWorker() {
+    if (!('serviceWorker' in navigator) || !languageManager.getPrerenderedLanguage()) return;
+    navigator.serviceWorker.register('/sw.js').catch(err => {
+      log.warn('Service worker registration failed:', err);
+    });
+  }
+
+  // Wire up translated markup inside root; every step skips what it already handled
+  function enhance(root) {
+    if (window.environmentRedirect) window.environmentRedirect.setupFlutterLinks(root);
+    if (window.initMobileNav) window.initMobileNav();
+    if (window.initNavDropdowns) window.initNavDropdowns(root);
+    if (window.themeManager) window.themeManager.bindControls(root);
+    if (window.pageNavigation) window.pageNavigation.observe(root);
+    if (window.initContactForm) window.initContactForm(root);
+    if (window.initPricing) window.initPricing(root);
+    if (window.initSiteSearch) window.initSiteSearch(root);
+    bindLanguageSelect();
+    bindCurrencySelects(root);
+  }
+
+  const partialsReady = window.partials.start();
+
+  // Fetch the bundles in parallel so the single translation pass does not wait twice
+  languageManager.loadTranslations(languageManager.currentLanguage);
+
+  // init() translates the page with every partial already in place
+  const languageReady = partialsReady.then(() => languageManager.init());
+
+  // Flutter links need the deployment's environment config
+  const environmentReady = window.environmentRedirect ? window.environmentRedirect.ready : Promise.resolve();
+
+  const ready = Promise.all([languageReady, environmentReady])
+    .then(() => {
+      // The root domain is known now; move preferences out of localStorage
+      if (window.preferences) window.preferences.migrate();
+      enhance(document);
+      if (window.initDebugPanel) window.initDebugPanel();
+      if (window.pageNavigation) window.pageNavigation.start();
+      registerServiceWorker();
+
+      // setLanguage() re-translates the page itself; links follow the new
+      // language, theme, campaign and (in local development) detected app origin
+      const refreshLinks = () => {
+        if (window.environmentRedirect) window.environmentRedirect.refreshFlutterLinks();
+      };
+      document.addEventListener('languageChanged', refreshLinks);
+      document.addEventListener('themeChanged', refreshLinks);
+      document.addEventListener('campaignChanged', refreshLinks);
+      document.addEventListener('flutterOriginChanged', refreshLinks);
+
+      // Currency selectors follow the language's currency and changes made in other tabs
+      document.addEventListener('languageChanged', showCurrency);
+      document.addEventListener('preferencesChanged', (e) => {
+        if (e.detail.name === 'currency') showCurrency();
+      });
+
+      // Kept for scripts written against the old partials loader
+      document.dispatchEvent(new CustomEvent('partialsLoaded'));
+    })
+    .catch(err => {
+      log.error('Page initialization failed:', err);
+    });
+
+  let queue = ready;
+
+  // Load, translate and wire up new content inside root; updates run one at a time
+  function update(root) {
+    queue = queue
+      .then(() => window.partials.include(root))
+      .then(() => {
+        languageManager.translatePage(root);
+        enhance(root);
+      })
+      .catch(err => {
+        log.error('Update failed:', err);
+      });
+    return queue;
+  }
+
+  window.site = { ready, partialsReady, languageReady, environmentReady, update };
+})();
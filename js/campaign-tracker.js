@@ -0,0 +1,89 @@
+/**
+ * Campaign attribution for Flutter links
+ * - Captures utm_*, ref and gclid parameters from the landing URL
+ * - Keeps them in sessionStorage for the rest of the visit
+ * - EnvironmentRedirect appends them to every flutter-link URL
+ *
+ * Options come from window.DENU_CAMPAIGN or the "campaign" section of
+ * config/environments.json:
+ *   params      - allowlist; "utm_*" matches every parameter with that prefix
+ *   attribution - "last-touch" (a new campaign replaces the stored one) or
+ *                 "first-touch" (the first campaign of the visit is kept)
+ */
+(function() {
+  const STORAGE_KEY = 'campaign';
+  const MAX_VALUE_LENGTH = 200;
+
+  class CampaignTracker {
+    constructor(options = {}) {
+      // Query string of the page the visitor landed on, and the campaign stored
+      // before it; configure() may run again once the deployment config loads
+      this.landingSearch = window.location.search;
+      this.sessionParams = this.read();
+      this.configure(options);
+    }
+
+    // Apply options and capture the landing parameters they allow
+    configure(options = {}) {
+      this.params = options.params || ['utm_*', 'ref', 'gclid'];
+      this.attribution = options.attribution === 'first-touch' ? 'first-touch' : 'last-touch';
+      this.capture(this.landingSearch);
+    }
+
+    isAllowed(name) {
+      return this.params.some(pattern => pattern.endsWith('*')
+        ? name.startsWith(pattern.slice(0, -1))
+        : name === pattern);
+    }
+
+    // Decide between the stored campaign and the one in the query string
+    capture(search) {
+      const touch = {};
+      new URLSearchParams(search).forEach((value, name) => {
+        if (value && this.isAllowed(name)) touch[name] = value.slice(0, MAX_VALUE_LENGTH);
+      });
+
+      const hasTouch = Object.keys(touch).length > 0;
+      const keepStored = !hasTouch || (this.attribution === 'first-touch' && Object.keys(this.sessionParams).length > 0);
+      const params = keepStored ? this.sessionParams : touch;
+      if (JSON.stringify(params) === JSON.stringify(this.fallback || this.read())) return;
+
+      this.write(params);
+      document.dispatchEvent(new CustomEvent('campaignChanged', { detail: { params } }));
+    }
+
+    read() {
+      try {
+        return JSON.parse(sessionStorage.getItem(STORAGE_KEY)) || {};
+      } catch (e) {
+        return {};
+      }
+    }
+
+    write(params) {
+      try {
+        sessionStorage.setItem(STORAGE_KEY, JSON.stringify(params));
+      } catch (e) {
+        // Storage disabled: attribution only lasts for this page
+        this.fallback = params;
+      }
+    }
+
+    // Stored campaign parameters that the current allowlist still permits
+    getParams() {
+      const stored = this.fallback || this.read();
+      return Object.keys(stored)
+        .filter(name => this.isAllowed(name))
+        .reduce((params, name) => Object.assign(params, { [name]: stored[name] }), {});
+    }
+
+    clear() {
+      try {
+        sessionStorage.removeItem(STORAGE_KEY);
+      } catch (e) {}
+      this.fallback = null;
+    }
+  }
+
+  window.campaignTracker = new CampaignTracker(window.DENU_CAMPAIGN || {});
+})();
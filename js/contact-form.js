@@ -0,0 +1,473 @@
+/**
+ * Contact form
+ * - Sends #contactForm as JSON to the endpoint of the deployment config
+ *   ("contact" in config/environments.json; /api/contact by default), see
+ *   scripts/contact-server.js for the reference server
+ * - Validates in the page's language before sending, from the fields' own
+ *   required, minlength, maxlength and type="email" attributes; groups with
+ *   data-subjects="bug business" are only shown (and checked) for those subjects
+ * - Shows the server's field errors the same way and reports rate limits,
+ *   timeouts and lost connections; the input is only cleared once the message
+ *   was accepted
+ * - Keeps a draft in localStorage while the visitor types and restores it on
+ *   their next visit
+ * - Messages sent while offline are queued in localStorage and go out once
+ *   the browser is back online while the contact page is open, or the next
+ *   time it is opened; one the server rejects is put back as its draft
+ * - Bug reports can attach page diagnostics: environment, language, user
+ *   agent and viewport
+ * - js/bootstrap.js wires it up through window.initContactForm(root)
+ */
+(function() {
+  const log = window.logger ? window.logger.create('ContactForm') : console;
+  const DEFAULTS = { endpoint: '/api/contact', timeoutMs: 10000 };
+  const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+  const DRAFT_KEY = 'contact_draft';
+  const DRAFT_FIELDS = ['name', 'email', 'subject', 'message', 'company', 'steps'];
+  const DRAFT_MAX_AGE_MS = 7 * 24 * 60 * 60 * 1000;
+  const DRAFT_SAVE_DELAY = 500;
+  const QUEUE_KEY = 'contact_outbox';
+
+  function getConfig() {
+    const redirect = window.environmentRedirect;
+    return redirect ? redirect.getContactConfig() : DEFAULTS;
+  }
+
+  function translate(key, args) {
+    return window.languageManager ? window.languageManager.getTranslation(key, args) : key;
+  }
+
+  // Notification system
+  function showNotification(message, type = 'info') {
+    const notification = document.createElement('div');
+    notification.className = `notification notification-${type}`;
+    notification.setAttribute('role', type === 'error' ? 'alert' : 'status');
+    notification.innerHTML = `
+      <div class="notification-content">
+        <i class="fas fa-${type === 'success' ? 'check-circle' : type === 'error' ? 'exclamation-circle' : 'info-circle'}"></i>
+        <span></span>
+      </div>
+    `;
+    notification.querySelector('span').textContent = message;
+
+    // Add styles; the notification slides in from the end edge (left in RTL)
+    const hidden = document.documentElement.dir === 'rtl' ? 'translateX(-100%)' : 'translateX(100%)';
+    notification.style.cssText = `
+      position: fixed;
+      top: 20px;
+      inset-inline-end: 20px;
+      background: ${type === 'success' ? '#10B981' : type === 'error' ? '#EF4444' : '#3B82F6'};
+      color: white;
+      padding: 1rem 1.5rem;
+      border-radius: 8px;
+      box-shadow: 0 10px 25px rgba(0, 0, 0, 0.1);
+      z-index: 1000;
+      transform: ${hidden};
+      transition: transform 0.3s ease;
+      max-width: 400px;
+    `;
+
+    document.body.appendChild(notification);
+
+    // Animate in
+    setTimeout(() => {
+      notification.style.transform = 'translateX(0)';
+    }, 100);
+
+    // Remove after 5 seconds
+    setTimeout(() => {
+      notification.style.transform = hidden;
+      setTimeout(() => {
+        notification.remove();
+      }, 300);
+    }, 5000);
+  }
+
+  // Message for an error code ("required", "invalid", "too_short", "too_long"),
+  // preferring a field-specific one such as contact.form.field.email.invalid
+  function fieldErrorMessage(field, code, args = {}) {
+    const name = code.replace(/_/g, '-');
+    const languageManager = window.languageManager;
+    const specific = languageManager && languageManager.findTranslation(`contact.form.field.${field}.${name}`, args);
+    return specific || translate(`contact.form.field.${name}`, args);
+  }
+
+  // First problem with a field as { code, args }, or null; disabled fields
+  // (in hidden subject groups) and checkboxes are not checked
+  function checkField(input) {
+    if (input.disabled || input.type === 'checkbox' || input.type === 'hidden' || input.closest('.form-honeypot')) return null;
+    const value = input.value.trim();
+    const minLength = Number(input.getAttribute('minlength')) || 0;
+    const maxLength = Number(input.getAttribute('maxlength')) || Infinity;
+    if (!value) return input.required ? { code: 'required' } : null;
+    if (input.type === 'email' && !EMAIL_PATTERN.test(value)) return { code: 'invalid' };
+    if (value.length < minLength) return { code: 'too_short', args: lengthArgs(input, 'too_short') };
+    if (value.length > maxLength) return { code: 'too_long', args: lengthArgs(input, 'too_long') };
+    return null;
+  }
+
+  // { count } for length errors, read from the field's own limits
+  function lengthArgs(input, code) {
+    if (code === 'too_short') return { count: Number(input.getAttribute('minlength')) };
+    if (code === 'too_long') return { count: Number(input.getAttribute('maxlength')) };
+    return {};
+  }
+
+  function getFields(form) {
+    return Array.from(form.querySelectorAll('input[name], select[name], textarea[name]'));
+  }
+
+  // Show or clear the error of one field; returns whether it is valid
+  function validateField(form, input) {
+    const problem = checkField(input);
+    if (problem) setFieldError(form, input.name, fieldErrorMessage(input.name, problem.code, problem.args));
+    else clearFieldError(input);
+    return !problem;
+  }
+
+  function validateForm(form) {
+    return getFields(form).map(input => validateField(form, input)).every(Boolean);
+  }
+
+  function setFieldError(form, field, message) {
+    const input = form.elements[field];
+    if (!input || !input.id) return;
+    const id = `${input.id}-error`;
+    let error = document.getElementById(id);
+    if (!error) {
+      error = document.createElement('p');
+      error.id = id;
+      error.className = 'field-error';
+      input.insertAdjacentElement('afterend', error);
+    }
+    error.textContent = message;
+    input.setAttribute('aria-invalid', 'true');
+    input.setAttribute('aria-describedby', id);
+  }
+
+  function clearFieldError(input) {
+    const error = document.getElementById(`${input.id}-error`);
+    if (error) error.remove();
+    input.removeAttribute('aria-invalid');
+    input.removeAttribute('aria-describedby');
+  }
+
+  function clearFieldErrors(form) {
+    getFields(form).forEach(clearFieldError);
+  }
+
+  // Show the groups meant for the chosen subject; fields in hidden groups are
+  // disabled, so they are neither validated nor sent
+  function updateSubjectFields(form) {
+    const subject = form.elements.subject.value;
+    form.querySelectorAll('[data-subjects]').forEach(group => {
+      const shown = group.getAttribute('data-subjects').split(/\s+/).includes(subject);
+      group.hidden = !shown;
+      group.querySelectorAll('input, select, textarea').forEach(input => {
+        input.disabled = !shown;
+        if (!shown) clearFieldError(input);
+      });
+    });
+    updateDiagnostics(form);
+  }
+
+  function getDiagnostics() {
+    const redirect = window.environmentRedirect;
+    return {
+      environment: redirect ? redirect.currentEnvironment : 'unknown',
+      language: window.languageManager ? window.languageManager.currentLanguage : document.documentElement.lang,
+      userAgent: navigator.userAgent,
+      viewport: `${window.innerWidth}x${window.innerHeight} @${window.devicePixelRatio || 1}x`
+    };
+  }
+
+  // Preview exactly what "Attach page diagnostics" will send
+  function updateDiagnostics(form) {
+    const checkbox = form.elements.attachDiagnostics;
+    const preview = form.querySelector('.diagnostics-preview');
+    if (!checkbox || !preview) return;
+    preview.hidden = checkbox.disabled || !checkbox.checked;
+    if (preview.hidden) return;
+    const diagnostics = getDiagnostics();
+    preview.querySelectorAll('[data-diagnostic]').forEach(value => {
+      value.textContent = diagnostics[value.getAttribute('data-diagnostic')];
+    });
+  }
+
+  function readDraft() {
+    try {
+      const draft = JSON.parse(localStorage.getItem(DRAFT_KEY));
+      if (draft && Date.now() - draft.savedAt < DRAFT_MAX_AGE_MS) return draft.values;
+      localStorage.removeItem(DRAFT_KEY);
+    } catch (e) {}
+    return null;
+  }
+
+  function saveDraft(form) {
+    const values = {};
+    DRAFT_FIELDS.forEach(name => {
+      const input = form.elements[name];
+      if (input && input.value.trim()) values[name] = input.value;
+    });
+    try {
+      if (Object.keys(values).length === 0) localStorage.removeItem(DRAFT_KEY);
+      else localStorage.setItem(DRAFT_KEY, JSON.stringify({ savedAt: Date.now(), values }));
+    } catch (e) {}
+  }
+
+  function clearDraft(form) {
+    try {
+      localStorage.removeItem(DRAFT_KEY);
+    } catch (e) {}
+    const status = form.querySelector('.form-draft');
+    if (status) status.hidden = true;
+  }
+
+  // Fill the fields from a saved draft and say so
+  function restoreDraft(form) {
+    const values = readDraft();
+    if (!values) return;
+    Object.keys(values).forEach(name => {
+      const input = form.elements[name];
+      if (input && !input.value) input.value = values[name];
+    });
+    const status = form.querySelector('.form-draft');
+    if (status) status.hidden = false;
+  }
+
+  // Messages queued offline, oldest first: [{ queuedAt, payload }]
+  function readQueue() {
+    try {
+      const queue = JSON.parse(localStorage.getItem(QUEUE_KEY));
+      if (Array.isArray(queue)) return queue.filter(item => Date.now() - item.queuedAt < DRAFT_MAX_AGE_MS);
+    } catch (e) {}
+    return [];
+  }
+
+  function writeQueue(queue) {
+    if (queue.length === 0) localStorage.removeItem(QUEUE_KEY);
+    else localStorage.setItem(QUEUE_KEY, JSON.stringify(queue));
+  }
+
+  // Keep the message for later and clear the form as if it had been sent
+  function queueMessage(form) {
+    try {
+      writeQueue(readQueue().concat({ queuedAt: Date.now(), payload: getPayload(form) }));
+    } catch (e) {
+      showNotification(translate('contact.form.error.offline'), 'error');
+      return;
+    }
+    showNotification(translate('contact.form.queued'), 'info');
+    form.reset();
+    clearDraft(form);
+    updateSubjectFields(form);
+  }
+
+  // A queued message the server rejected becomes the draft again, unless
+  // the visitor has started another one
+  function restoreQueued(payload) {
+    try {
+      if (localStorage.getItem(DRAFT_KEY)) return;
+      const values = {};
+      DRAFT_FIELDS.forEach(name => {
+        if (payload[name]) values[name] = payload[name];
+      });
+      localStorage.setItem(DRAFT_KEY, JSON.stringify({ savedAt: Date.now(), values }));
+    } catch (e) {}
+  }
+
+  let flushing = false;
+
+  // Run fn unless another tab holds the queue's Web Lock, i.e. is sending it
+  // already. Browsers without Web Locks run it regardless; each message still
+  // leaves the queue before it is sent, which keeps two tabs from sending it
+  // twice unless they read the queue at the same moment.
+  function withQueueLock(fn) {
+    if (!navigator.locks || typeof navigator.locks.request !== 'function') return fn();
+    return navigator.locks.request(QUEUE_KEY, { ifAvailable: true }, lock => (lock ? fn() : null));
+  }
+
+  // Send the queued messages one at a time, in one tab at a time. Each leaves
+  // the queue before it is sent and goes back to the front if sending fails.
+  function flushQueue() {
+    if (flushing || navigator.onLine === false || readQueue().length === 0) return Promise.resolve();
+    flushing = true;
+    let sent = 0;
+
+    const next = () => {
+      const queue = readQueue();
+      const item = queue.shift();
+      if (!item) return Promise.resolve();
+      try {
+        writeQueue(queue);
+      } catch (e) {
+        return Promise.resolve();
+      }
+      return post(getConfig(), item.payload)
+        .then(({ res }) => {
+          if (res.ok) {
+            sent += 1;
+            return true;
+          }
+          if (res.status === 400) {
+            restoreQueued(item.payload);
+            showNotification(translate('contact.form.queue-rejected'), 'error');
+            return true;
+          }
+          throw new Error(`HTTP ${res.status}`);
+        })
+        .catch(err => {
+          log.warn('Sending a queued message failed:', err.message);
+          try {
+            writeQueue([item].concat(readQueue()));
+          } catch (e) {}
+          return false;
+        })
+        .then(more => (more ? next() : null));
+    };
+
+    return withQueueLock(next)
+      .then(() => {
+        if (sent > 0) showNotification(translate('contact.form.queue-sent', { count: sent }), 'success');
+      })
+      .finally(() => {
+        flushing = false;
+      });
+  }
+
+  function setBusy(form, busy) {
+    const submitBtn = form.querySelector('[type="submit"]');
+    const btnText = submitBtn.querySelector('.btn-text');
+    const btnLoading = submitBtn.querySelector('.btn-loading');
+    btnText.style.display = busy ? 'none' : 'inline';
+    btnLoading.style.display = busy ? 'inline' : 'none';
+    submitBtn.disabled = busy;
+    form.setAttribute('aria-busy', String(busy));
+  }
+
+  function getPayload(form) {
+    const data = Object.fromEntries(new FormData(form).entries());
+    delete data.attachDiagnostics;
+    data.language = window.languageManager ? window.languageManager.currentLanguage : document.documentElement.lang;
+    data.page = window.location.pathname;
+    const checkbox = form.elements.attachDiagnostics;
+    if (checkbox && !checkbox.disabled && checkbox.checked) data.diagnostics = getDiagnostics();
+    return data;
+  }
+
+  // Resolves with { res, body }; body is {} when the answer is not JSON
+  function post(config, payload) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), config.timeoutMs);
+    return fetch(config.endpoint, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Accept: 'application/json' },
+      body: JSON.stringify(payload),
+      signal: controller.signal
+    })
+      .then(res => res.json().catch(() => ({})).then(body => ({ res, body })))
+      .finally(() => clearTimeout(timer));
+  }
+
+  function submit(form) {
+    if (!validateForm(form)) {
+      const first = form.querySelector('[aria-invalid="true"]');
+      if (first) first.focus();
+      showNotification(translate('contact.form.error.invalid'), 'error');
+      return Promise.resolve();
+    }
+    if (navigator.onLine === false) {
+      queueMessage(form);
+      return Promise.resolve();
+    }
+
+    setBusy(form, true);
+    return post(getConfig(), getPayload(form))
+      .then(({ res, body }) => {
+        if (res.ok) {
+          showNotification(translate('contact.form.success'), 'success');
+          form.reset();
+          clearDraft(form);
+          updateSubjectFields(form);
+          return;
+        }
+        if (res.status === 400 && body.fields) {
+          clearFieldErrors(form);
+          Object.keys(body.fields).forEach(field => {
+            const input = form.elements[field];
+            if (input) setFieldError(form, field, fieldErrorMessage(field, body.fields[field], lengthArgs(input, body.fields[field])));
+          });
+          const first = form.querySelector('[aria-invalid="true"]');
+          if (first) first.focus();
+          showNotification(translate('contact.form.error.invalid'), 'error');
+          return;
+        }
+        if (res.status === 429) {
+          const minutes = Math.max(1, Math.ceil((body.retryAfter || Number(res.headers.get('Retry-After')) || 60) / 60));
+          showNotification(translate('contact.form.error.rate-limited', { count: minutes }), 'error');
+          return;
+        }
+        throw new Error(`HTTP ${res.status}`);
+      })
+      .catch(err => {
+        log.warn('Sending the message failed:', err.message);
+        if (err.name !== 'AbortError' && navigator.onLine === false) {
+          queueMessage(form);
+          return;
+        }
+        showNotification(translate(err.name === 'AbortError' ? 'contact.form.error.timeout' : 'contact.form.error.failed'), 'error');
+      })
+      .finally(() => setBusy(form, false));
+  }
+
+  window.initContactForm = function(root = document) {
+    // Opening the contact page sends what was queued offline
+    flushQueue();
+
+    const form = root.querySelector('#contactForm');
+    if (!form || form.hasAttribute('data-contact-form-ready')) return;
+    form.setAttribute('data-contact-form-ready', 'true');
+    form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      submit(form);
+    });
+
+    // Check a field once the visitor leaves it, then again as they fix it
+    form.addEventListener('focusout', (e) => {
+      if (e.target.name && e.target.value) validateField(form, e.target);
+    });
+    let draftTimer = null;
+    form.addEventListener('input', (e) => {
+      if (e.target.getAttribute('aria-invalid') === 'true') validateField(form, e.target);
+      clearTimeout(draftTimer);
+      draftTimer = setTimeout(() => saveDraft(form), DRAFT_SAVE_DELAY);
+    });
+    form.addEventListener('change', (e) => {
+      if (e.target.name === 'subject') updateSubjectFields(form);
+      if (e.target.name === 'attachDiagnostics') updateDiagnostics(form);
+      saveDraft(form);
+    });
+
+    const discard = form.querySelector('.form-draft-discard');
+    if (discard) {
+      discard.addEventListener('click', () => {
+        clearDraft(form);
+        form.reset();
+        clearFieldErrors(form);
+        updateSubjectFields(form);
+      });
+    }
+
+    // Errors and the diagnostics preview follow the page language
+    document.addEventListener('languageChanged', () => {
+      if (!document.contains(form)) return;
+      form.querySelectorAll('[aria-invalid="true"]').forEach(input => validateField(form, input));
+      updateDiagnostics(form);
+    });
+
+    restoreDraft(form);
+    updateSubjectFields(form);
+  };
+
+  window.addEventListener('online', () => flushQueue());
+})();
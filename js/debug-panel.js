@@ -0,0 +1,121 @@
+/**
+ * Debug panel for non-production hosts
+ * - A badge with the environment name opens a panel showing the detected
+ *   environment, root domain, resolved Flutter base and where it came from
+ *   (global, localStorage, meta, url, config, detected, ...)
+ * - Sets or clears the local Flutter origin (localStorage) and switches
+ *   language, theme and log level
+ * - js/bootstrap.js calls window.initDebugPanel() once the page is ready; it
+ *   does nothing when EnvironmentRedirect detects prod
+ */
+
+window.initDebugPanel = function() {
+  const redirect = window.environmentRedirect;
+  if (!redirect || redirect.currentEnvironment === 'prod') return;
+  if (document.getElementById('debugPanel')) return;
+
+  const languageManager = window.languageManager;
+
+  const root = document.createElement('div');
+  root.className = 'debug-root';
+  root.setAttribute('translate', 'no');
+  root.innerHTML = `
+    <button type="button" class="debug-badge" aria-expanded="false" aria-controls="debugPanel"></button>
+    <section class="debug-panel" id="debugPanel" aria-label="Debug panel" hidden>
+      <dl>
+        <dt>Environment</dt><dd data-debug="environment"></dd>
+        <dt>Root domain</dt><dd data-debug="rootDomain"></dd>
+        <dt>Flutter base</dt><dd data-debug="flutterBase"></dd>
+        <dt>Source</dt><dd data-debug="source"></dd>
+      </dl>
+      <form class="debug-origin">
+        <label for="debugLocalOrigin">Local origin</label>
+        <input id="debugLocalOrigin" type="url" placeholder="http://localhost:55425">
+        <button type="submit">Set</button>
+        <button type="button" data-debug-clear>Clear</button>
+      </form>
+      <label>Language <select data-debug-language></select></label>
+      <label>Theme
+        <select data-debug-theme>
+          <option value="system">System</option>
+          <option value="light">Light</option>
+          <option value="dark">Dark</option>
+        </select>
+      </label>
+      <label>Log level <select data-debug-log-level></select></label>
+    </section>`;
+  document.body.appendChild(root);
+
+  const badge = root.querySelector('.debug-badge');
+  const panel = root.querySelector('.debug-panel');
+  const originInput = root.querySelector('#debugLocalOrigin');
+  const languageSelect = root.querySelector('[data-debug-language]');
+  const themeSelect = root.querySelector('[data-debug-theme]');
+  const logLevelSelect = root.querySelector('[data-debug-log-level]');
+
+  function addOption(select, value, label) {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = label;
+    select.appendChild(option);
+  }
+
+  if (languageManager) {
+    Object.keys(languageManager.locales).forEach(code => {
+      addOption(languageSelect, code, `${languageManager.locales[code].name} (${code})`);
+    });
+  }
+  if (window.logger) {
+    addOption(logLevelSelect, '', 'Default');
+    window.logger.levels.forEach(level => addOption(logLevelSelect, level, level));
+  }
+
+  // Show the current routing state
+  function render() {
+    const base = redirect.resolveFlutterBase();
+    const override = redirect.getLocalOverride();
+    const values = {
+      environment: redirect.currentEnvironment,
+      rootDomain: redirect.rootDomain,
+      flutterBase: base.origin,
+      source: base.source
+    };
+    Object.keys(values).forEach(key => {
+      root.querySelector(`[data-debug="${key}"]`).textContent = values[key];
+    });
+    badge.textContent = redirect.currentEnvironment;
+    originInput.value = override && override.source === 'localStorage' ? override.origin : '';
+    if (languageManager) languageSelect.value = languageManager.currentLanguage;
+    if (window.themeManager) themeSelect.value = window.themeManager.preference;
+    if (window.logger) logLevelSelect.value = localStorage.getItem('log_level') || '';
+  }
+
+  badge.addEventListener('click', () => {
+    panel.hidden = !panel.hidden;
+    badge.setAttribute('aria-expanded', String(!panel.hidden));
+    if (!panel.hidden) render();
+  });
+
+  root.querySelector('.debug-origin').addEventListener('submit', (e) => {
+    e.preventDefault();
+    redirect.setLocalOverride(originInput.value.trim());
+  });
+  root.querySelector('[data-debug-clear]').addEventListener('click', () => {
+    redirect.setLocalOverride(null);
+  });
+  languageSelect.addEventListener('change', (e) => {
+    if (languageManager) languageManager.setLanguage(e.target.value);
+  });
+  themeSelect.addEventListener('change', (e) => {
+    if (window.themeManager) window.themeManager.setPreference(e.target.value);
+  });
+  logLevelSelect.addEventListener('change', (e) => {
+    window.logger.setLevel(e.target.value || null);
+  });
+
+  document.addEventListener('flutterOriginChanged', render);
+  document.addEventListener('languageChanged', render);
+  document.addEventListener('themeChanged', render);
+
+  render();
+};
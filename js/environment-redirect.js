@@ -1,22 +1,103 @@
 /**
  * Environment-aware Flutter route linker for Denu (aglaea)
- * - Detects environment from hostname (local, dev, qa, uat, prod)
+ * - Maps the hostname to an environment through config/environments.json, or
+ *   window.DENU_ENVIRONMENTS when a deployment defines it before this script
+ * - Without a matching entry, detects the environment from the hostname
+ *   (local, dev, qa, uat, prod)
  * - Builds Flutter base URL for that environment (e.g., dev.app.<root-domain>)
  * - Rewrites anchors with class 'flutter-link' using data-flutter-path
  * - Propagates non-English language via ?lang=<code>
+ * - Propagates the visit's campaign parameters (js/campaign-tracker.js)
+ * - On iOS/Android, opens the native app through a universal link or intent
+ *   when config/environments.json describes it
+ * - Probes the Flutter origin before navigating and shows an "app temporarily
+ *   unavailable" dialog (partials/app-unavailable.html) when it does not answer
+ * - In local development, finds the Flutter dev server among the usual ports
+ * - Links are set up by js/bootstrap.js after each DOM update
  */
 (function() {
   try {
+    const log = window.logger ? window.logger.create('EnvironmentRedirect') : console;
+
+    const CONFIG_URL = '/config/environments.json';
+    const LOCAL_ORIGIN_KEY = 'flutter_local_origin';
+
+    // Public suffixes with two labels, so denu.co.uk is a root domain and not co.uk
+    const TWO_LABEL_SUFFIXES = ['co.uk', 'org.uk', 'ac.uk', 'com.au', 'co.nz', 'co.ir', 'ac.ir', 'org.ir', 'com.tr'];
+
+    // Probe settings, overridable through the config's "health" section
+    const HEALTH_DEFAULTS = { path: '/health', timeoutMs: 2500, cacheSeconds: 60, cors: false };
+    const HEALTH_CACHE_KEY = 'flutter_health';
+
+    // Ports tried for a local Flutter dev server (config "local.flutterPorts")
+    const LOCAL_FLUTTER_PORTS = [56899, 55425, 8888, 9000];
+
+    const UNAVAILABLE_PARTIAL = '/partials/app-unavailable.html';
+
+    // Where js/contact-form.js sends messages (config "contact")
+    const CONTACT_DEFAULTS = { endpoint: '/api/contact', timeoutMs: 10000 };
+
     class EnvironmentRedirect {
       constructor() {
+        this.applyConfig(window.DENU_ENVIRONMENTS || null);
+        // A global config wins; otherwise fetch the one the deployment serves
+        this.ready = (window.DENU_ENVIRONMENTS ? Promise.resolve() : this.loadConfig()).then(() => {
+          // Links are set up without waiting; they are refreshed if a server turns up
+          this.detectLocalOrigin();
+        });
+      }
+
+      applyConfig(config) {
+        this.config = config;
+        // Campaign options from the deployment config, unless a page set its own
+        if (config && config.campaign && window.campaignTracker && !window.DENU_CAMPAIGN) {
+          window.campaignTracker.configure(config.campaign);
+        }
+        this.environment = this.matchEnvironment(window.location.hostname);
         this.currentEnvironment = this.detectEnvironment();
         this.rootDomain = this.getRootDomain();
-        this.isSetup = false;
-        this.setupListeners();
-        this.setupFlutterLinks();
+        // Production pages stay quiet unless a log level is picked explicitly
+        if (window.logger) window.logger.setDefaultLevel(this.currentEnvironment === 'prod' ? 'silent' : 'info');
+      }
+
+      loadConfig() {
+        return fetch(CONFIG_URL, { cache: 'no-cache' })
+          .then(res => {
+            if (!res.ok) throw new Error(`HTTP ${res.status}`);
+            return res.json();
+          })
+          .then(config => this.applyConfig(config))
+          .catch(err => {
+            log.warn('No environment config, detecting from hostname:', err.message);
+          });
+      }
+
+      // "*.dev.denu.dev" -> /^([^.]+)\.dev\.denu\.dev$/i; each * is one label
+      hostPattern(pattern) {
+        const source = pattern
+          .split('*')
+          .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+          .join('([^.]+)');
+        return new RegExp(`^${source}$`, 'i');
+      }
+
+      // First config entry with a host pattern matching the hostname, plus the
+      // labels its wildcards captured
+      matchEnvironment(host) {
+        const environments = (this.config && this.config.environments) || [];
+        for (const environment of environments) {
+          for (const pattern of environment.hosts || []) {
+            // Skip patterns whose {{DOMAIN}} was never substituted (plain local checkout)
+            if (pattern.includes('{{')) continue;
+            const match = this.hostPattern(pattern).exec(host);
+            if (match) return Object.assign({}, environment, { captures: match.slice(1) });
+          }
+        }
+        return null;
       }
 
       detectEnvironment() {
+        if (this.environment) return this.environment.name;
         const host = window.location.hostname;
         if (host === 'localhost' || /^127\.0\.0\.1$/.test(host)) return 'local';
         if (/^dev\./.test(host)) return 'dev';
@@ -29,62 +110,100 @@
         const host = window.location.hostname;
         const parts = host.split('.');
         if (host === 'localhost' || /^\d+\.\d+\.\d+\.\d+$/.test(host)) return host;
+        const configured = this.environment && (this.environment.rootDomain || this.config.rootDomain);
+        if (configured && !configured.includes('{{')) return configured;
         if (parts.length <= 2) return host;
+        if (TWO_LABEL_SUFFIXES.includes(parts.slice(-2).join('.'))) {
+          return parts.slice(-3).join('.');
+        }
         return parts.slice(-2).join('.');
       }
 
+      // Flutter origin of the matched config entry, with $1, $2... replaced by
+      // the labels the host pattern's wildcards captured
+      getConfiguredOrigin() {
+        const origin = this.environment && this.environment.flutterOrigin;
+        if (!origin || origin.includes('{{')) return null;
+        return origin
+          .replace(/\$(\d)/g, (match, index) => this.environment.captures[index - 1] || '')
+          .replace(/\/$/, '');
+      }
+
       getFlutterBase() {
+        const base = this.resolveFlutterBase();
+        log.debug(`Using ${base.source} origin:`, base.origin);
+        return base.origin;
+      }
+
+      // Flutter origin for this page and where it came from: an override
+      // source (global, localStorage, meta, url), config, detected,
+      // same-origin, fallback or environment
+      resolveFlutterBase() {
         const env = this.currentEnvironment;
         const root = this.rootDomain;
         if (env === 'local') {
           // For local, ALWAYS check if there's an override configured first
-          const override = this.getLocalOverrideOriginSync();
-          if (override) {
-            console.log('[EnvironmentRedirect] Using override origin:', override);
-            return override;
-          }
+          const override = this.getLocalOverride();
+          if (override) return override;
+
+          const configured = this.getConfiguredOrigin();
+          if (configured) return { origin: configured, source: 'config' };
+
+          if (this.detectedLocalOrigin) return { origin: this.detectedLocalOrigin, source: 'detected' };
           
           // If no override and we're on a different port than typical web server ports,
           // assume we're already on the Flutter dev server
           const currentPort = window.location.port;
+          const sameOrigin = `${window.location.protocol}//${window.location.host}`;
           if (currentPort && !['80', '443', '8080', '8081', '3000', '5000', '5500'].includes(currentPort)) {
-            const sameOrigin = `${window.location.protocol}//${window.location.host}`;
-            console.log('[EnvironmentRedirect] Already on Flutter dev server:', sameOrigin);
-            return sameOrigin;
+            return { origin: sameOrigin, source: 'same-origin' };
           }
           
-          // Otherwise, warn that Flutter origin is not configured
-          console.warn('[EnvironmentRedirect] No Flutter origin configured for local development!');
-          console.warn('[EnvironmentRedirect] Please set FLUTTER_LOCAL_ORIGIN or use ?flutter_port=XXXX parameter');
-          // Return same origin as fallback
-          const fallback = `${window.location.protocol}//${window.location.host}`;
-          console.log('[EnvironmentRedirect] Using fallback same origin:', fallback);
-          return fallback;
+          // Otherwise, warn (once) that Flutter origin is not configured and use the same origin
+          if (!this.warnedNoLocalOrigin) {
+            this.warnedNoLocalOrigin = true;
+            log.warn('No Flutter origin configured for local development!');
+            log.warn('Start it on one of the ports in local.flutterPorts, set FLUTTER_LOCAL_ORIGIN or use ?flutter_port=XXXX parameter');
+          }
+          return { origin: sameOrigin, source: 'fallback' };
         }
+        const configured = this.getConfiguredOrigin();
+        if (configured) return { origin: configured, source: 'config' };
         const prefix = env === 'prod' ? '' : `${env}.`;
-        const url = `https://${prefix}app.${root}`;
-        console.log('[EnvironmentRedirect] Using environment URL:', url);
-        return url;
+        return { origin: `https://${prefix}app.${root}`, source: 'environment' };
       }
 
       getLocalOverrideOriginSync() {
+        const override = this.getLocalOverride();
+        return override ? override.origin : null;
+      }
+
+      // Local origin set by hand, with the source that set it
+      getLocalOverride() {
         // 1) Window global
-        if (window.FLUTTER_LOCAL_ORIGIN) return window.FLUTTER_LOCAL_ORIGIN;
+        if (window.FLUTTER_LOCAL_ORIGIN) return { origin: window.FLUTTER_LOCAL_ORIGIN, source: 'global' };
         // 2) localStorage
-        const fromStorage = localStorage.getItem('flutter_local_origin');
-        if (fromStorage) return fromStorage;
+        const fromStorage = localStorage.getItem(LOCAL_ORIGIN_KEY);
+        if (fromStorage) return { origin: fromStorage, source: 'localStorage' };
         // 3) Meta tag
         const meta = document.querySelector('meta[name="flutter-local-origin"]');
-        if (meta && meta.content) return meta.content;
+        if (meta && meta.content) return { origin: meta.content, source: 'meta' };
         // 4) URL params
         const params = new URLSearchParams(window.location.search);
         const fromParam = params.get('flutter_origin');
-        if (fromParam) return fromParam;
+        if (fromParam) return { origin: fromParam, source: 'url' };
         const portParam = params.get('flutter_port');
-        if (portParam) return `${window.location.protocol}//localhost:${portParam}`;
+        if (portParam) return { origin: `${window.location.protocol}//localhost:${portParam}`, source: 'url' };
         return null;
       }
 
+      // Set (or with an empty value, clear) the localStorage override and
+      // point the page's links at it
+      setLocalOverride(origin) {
+        if (origin) localStorage.setItem(LOCAL_ORIGIN_KEY, origin.replace(/\/$/, ''));
+        else localStorage.removeItem(LOCAL_ORIGIN_KEY);
+        document.dispatchEvent(new CustomEvent('flutterOriginChanged', { detail: { origin: this.getFlutterBase() } }));
+      }
 
       getCurrentLanguage() {
         if (window.languageManager && window.languageManager.currentLanguage) {
@@ -93,12 +212,23 @@
         const params = new URLSearchParams(window.location.search);
         const fromUrl = params.get('lang');
         if (fromUrl) return fromUrl;
-        const fromStorage = localStorage.getItem('language');
+        const fromStorage = window.preferences ? window.preferences.get('language') : null;
         return fromStorage || 'en';
       }
 
       getFlutterUrl(routePath) {
-        const base = this.getFlutterBase();
+        return this.buildUrl(this.getFlutterBase(), routePath);
+      }
+
+      // Visitor's explicit light/dark choice; null while following the system
+      getCurrentTheme() {
+        const preference = window.themeManager ? window.themeManager.preference : null;
+        return preference === 'light' || preference === 'dark' ? preference : null;
+      }
+
+      // base + route, with ?lang= for non-English visitors, ?theme= when a theme
+      // was picked, and the campaign parameters
+      buildUrl(base, routePath) {
         const path = routePath ? (routePath.startsWith('/') ? routePath : `/${routePath}`) : '/';
         let url = base + path;
         const lang = this.getCurrentLanguage();
@@ -106,17 +236,261 @@
           const sep = url.includes('?') ? '&' : '?';
           url += `${sep}lang=${lang}`;
         }
+        const theme = this.getCurrentTheme();
+        if (theme) {
+          const sep = url.includes('?') ? '&' : '?';
+          url += `${sep}theme=${theme}`;
+        }
+        return this.appendCampaignParams(url);
+      }
+
+      // Add the visit's campaign parameters (js/campaign-tracker.js), keeping
+      // any the route already sets
+      appendCampaignParams(url) {
+        if (!window.campaignTracker) return url;
+        const params = window.campaignTracker.getParams();
+        const existing = new URLSearchParams(url.split('#')[0].split('?')[1] || '');
+        Object.keys(params).forEach(name => {
+          if (existing.has(name)) return;
+          const sep = url.includes('?') ? '&' : '?';
+          url += `${sep}${encodeURIComponent(name)}=${encodeURIComponent(params[name])}`;
+        });
         return url;
       }
 
-      setupFlutterLinks() {
-        if (this.isSetup) return;
-        const links = document.querySelectorAll('a.flutter-link:not([data-env-redirect-setup])');
-        console.log(`[EnvironmentRedirect] Found ${links.length} flutter-link elements`);
+      getContactConfig() {
+        return Object.assign({}, CONTACT_DEFAULTS, this.config && this.config.contact, this.environment && this.environment.contact);
+      }
+
+      getHealthConfig() {
+        return Object.assign({}, HEALTH_DEFAULTS, this.config && this.config.health, this.environment && this.environment.health);
+      }
+
+      // Resolves true when url answers within the timeout. Cross-origin no-cors
+      // requests cannot read the status, so any HTTP response counts as up
+      // unless health.cors is set (the endpoint then has to send CORS headers)
+      probe(url, health = this.getHealthConfig()) {
+        const controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+        let timer;
+        const timeout = new Promise(resolve => {
+          timer = setTimeout(() => {
+            if (controller) controller.abort();
+            resolve(false);
+          }, health.timeoutMs);
+        });
+        const request = fetch(url, {
+          mode: health.cors ? 'cors' : 'no-cors',
+          cache: 'no-store',
+          signal: controller ? controller.signal : undefined
+        })
+          .then(res => !health.cors || res.ok)
+          .catch(() => false);
+        return Promise.race([request, timeout]).then(ok => {
+          clearTimeout(timer);
+          return ok;
+        });
+      }
+
+      readHealthCache() {
+        try {
+          return JSON.parse(sessionStorage.getItem(HEALTH_CACHE_KEY)) || {};
+        } catch (e) {
+          return {};
+        }
+      }
+
+      writeHealthCache(origin, ok) {
+        const cache = this.readHealthCache();
+        cache[origin] = { ok, at: Date.now() };
+        try {
+          sessionStorage.setItem(HEALTH_CACHE_KEY, JSON.stringify(cache));
+        } catch (e) {}
+      }
+
+      // Cached result of the last probe of an origin, or undefined when stale
+      getCachedAvailability(origin) {
+        const entry = this.readHealthCache()[origin];
+        if (!entry || Date.now() - entry.at > this.getHealthConfig().cacheSeconds * 1000) return undefined;
+        return entry.ok;
+      }
+
+      // Whether a Flutter origin is up; pass force to skip the cache (retry)
+      checkAvailability(origin, force = false) {
+        const cached = force ? undefined : this.getCachedAvailability(origin);
+        if (cached !== undefined) return Promise.resolve(cached);
+        const health = this.getHealthConfig();
+        return this.probe(`${origin}${health.path}`, health).then(ok => {
+          this.writeHealthCache(origin, ok);
+          if (!ok) log.warn(`${origin} did not answer its health check`);
+          return ok;
+        });
+      }
+
+      // Local only: probe the usual Flutter dev server ports when nothing else
+      // names the origin, and use the first one that answers
+      detectLocalOrigin() {
+        if (this.currentEnvironment !== 'local' || this.getLocalOverrideOriginSync() || this.getConfiguredOrigin()) {
+          return Promise.resolve(null);
+        }
+        const ports = ((this.config && this.config.local && this.config.local.flutterPorts) || LOCAL_FLUTTER_PORTS)
+          .filter(port => String(port) !== window.location.port);
+        const health = Object.assign(this.getHealthConfig(), { cors: false });
+        return Promise.all(ports.map(port => {
+          const origin = `http://localhost:${port}`;
+          return this.probe(`${origin}/`, health).then(ok => (ok ? origin : null));
+        })).then(origins => {
+          const origin = origins.find(Boolean) || null;
+          if (origin && origin !== this.detectedLocalOrigin) {
+            this.detectedLocalOrigin = origin;
+            log.info('Detected Flutter dev server:', origin);
+            document.dispatchEvent(new CustomEvent('flutterOriginChanged', { detail: { origin } }));
+          }
+          return origin;
+        });
+      }
+
+      // Open a Flutter URL once its origin answers, or show the unavailable dialog
+      navigate(url, target, trigger) {
+        const newTab = target === '_blank';
+        // Open the tab now, while the click still counts as a user gesture, and
+        // point it at the app once the probe succeeds
+        const tab = newTab ? window.open('', '_blank') : null;
+        if (tab) tab.opener = null;
+
+        return this.checkAvailability(new URL(url).origin, Boolean(trigger && trigger.force)).then(ok => {
+          if (!ok) {
+            if (tab) tab.close();
+            this.showUnavailableDialog(url, target, trigger);
+            return false;
+          }
+          log.debug(`Opening URL: ${url}`);
+          if (tab) tab.location.href = url;
+          else if (newTab) window.open(url, '_blank', 'noopener');
+          else window.location.href = url;
+          return true;
+        });
+      }
+
+      // Localized dialog with a retry button, loaded from partials/ on first use
+      showUnavailableDialog(url, target, trigger = {}) {
+        if (!this.unavailableDialog) {
+          const container = document.createElement('div');
+          container.setAttribute('data-partial', UNAVAILABLE_PARTIAL);
+          container.hidden = true;
+          document.body.appendChild(container);
+          const loaded = window.site ? window.site.update(container) : window.partials.include(document.body);
+          this.unavailableDialog = { container, loaded };
+
+          container.addEventListener('click', (e) => {
+            if (e.target.closest('[data-app-unavailable-close]')) this.closeUnavailableDialog();
+            const retry = e.target.closest('[data-app-unavailable-retry]');
+            if (retry && !retry.disabled) {
+              const pending = this.unavailableDialog.pending;
+              retry.disabled = true;
+              this.navigate(pending.url, pending.target, { force: true, retry: true, returnFocus: pending.returnFocus })
+                .then(ok => {
+                  retry.disabled = false;
+                  if (ok) this.closeUnavailableDialog();
+                });
+            }
+          });
+          container.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') this.closeUnavailableDialog();
+          });
+        }
+
+        const dialog = this.unavailableDialog;
+        dialog.pending = { url, target, returnFocus: trigger.returnFocus || document.activeElement };
+        return dialog.loaded.then(() => {
+          const status = dialog.container.querySelector('.app-unavailable-status');
+          if (status) status.hidden = !trigger.retry;
+          dialog.container.hidden = false;
+          const retry = dialog.container.querySelector('[data-app-unavailable-retry]');
+          if (retry) retry.focus();
+        });
+      }
+
+      closeUnavailableDialog() {
+        const dialog = this.unavailableDialog;
+        if (!dialog || dialog.container.hidden) return;
+        dialog.container.hidden = true;
+        const returnFocus = dialog.pending && dialog.pending.returnFocus;
+        if (returnFocus && typeof returnFocus.focus === 'function') returnFocus.focus();
+      }
+
+      // Native app settings: the config's nativeApp with the matched
+      // environment's own nativeApp on top (same merge as scripts/lib/app-links.js)
+      getNativeApp() {
+        const base = (this.config && this.config.nativeApp) || {};
+        const own = (this.environment && this.environment.nativeApp) || {};
+        return Object.assign({ linkPrefix: '/open', fallback: 'web' }, base, own, {
+          ios: Object.assign({}, base.ios, own.ios),
+          android: Object.assign({}, base.android, own.android)
+        });
+      }
+
+      // 'ios', 'android' or null
+      getMobilePlatform() {
+        const ua = navigator.userAgent || '';
+        if (/Android/i.test(ua)) return 'android';
+        // iPadOS reports a desktop Mac user agent, but with touch support
+        if (/iPad|iPhone|iPod/.test(ua) || (/Macintosh/.test(ua) && navigator.maxTouchPoints > 1)) return 'ios';
+        return null;
+      }
+
+      hasNativeApp(platform, nativeApp = this.getNativeApp()) {
+        if (platform === 'ios') return (nativeApp.ios.appIds || []).length > 0;
+        if (platform === 'android') return Boolean(nativeApp.android.package);
+        return false;
+      }
+
+      // Universal / App Link for a route, e.g. https://denu.dev/open/discover; the
+      // app claims these paths through the /.well-known files, and open.html
+      // forwards to the fallback when it is not installed
+      getAppLinkUrl(routePath, nativeApp = this.getNativeApp()) {
+        const origin = nativeApp.linkOrigin || window.location.origin;
+        return this.buildUrl(`${origin}${nativeApp.linkPrefix}`, routePath);
+      }
+
+      // Where a deep link goes when the app does not open: the web app, or the
+      // store listing when the config's fallback is "store"
+      getAppFallbackUrl(routePath, platform = this.getMobilePlatform()) {
+        const nativeApp = this.getNativeApp();
+        const storeUrl = platform && nativeApp[platform].storeUrl;
+        if (nativeApp.fallback === 'store' && storeUrl) return storeUrl;
+        return this.getFlutterUrl(routePath);
+      }
+
+      // Chrome opens the app for this intent, or loads browser_fallback_url
+      getAndroidIntentUrl(routePath, nativeApp = this.getNativeApp()) {
+        const link = new URL(this.getAppLinkUrl(routePath, nativeApp));
+        const fallback = encodeURIComponent(this.getAppFallbackUrl(routePath, 'android'));
+        return `intent://${link.host}${link.pathname}${link.search}#Intent;scheme=https;package=${nativeApp.android.package};S.browser_fallback_url=${fallback};end`;
+      }
+
+      // On iOS and Android with the app configured, navigate to its deep link;
+      // returns false when the web link should be used instead
+      openInApp(routePath) {
+        const platform = this.getMobilePlatform();
+        const nativeApp = this.getNativeApp();
+        if (!this.hasNativeApp(platform, nativeApp)) return false;
+        const url = platform === 'android'
+          ? this.getAndroidIntentUrl(routePath, nativeApp)
+          : this.getAppLinkUrl(routePath, nativeApp);
+        log.debug(`Opening in app: ${url}`);
+        window.location.href = url;
+        return true;
+      }
+
+      // Rewrite flutter-link anchors inside root that have not been set up yet;
+      // js/bootstrap.js calls this once per DOM update
+      setupFlutterLinks(root = document) {
+        const links = root.querySelectorAll('a.flutter-link:not([data-env-redirect-setup])');
+        log.debug(`Found ${links.length} flutter-link elements`);
         links.forEach(link => {
           const routePath = link.getAttribute('data-flutter-path') || link.getAttribute('href') || '/';
           const newUrl = this.getFlutterUrl(routePath);
-          console.log(`[EnvironmentRedirect] Setting up link: ${routePath} -> ${newUrl}`);
+          log.debug(`Setting up link: ${routePath} -> ${newUrl}`);
           link.href = newUrl;
           if (link.hostname !== window.location.hostname) {
             link.target = '_blank';
@@ -126,62 +500,36 @@
           link.addEventListener('click', (e) => {
             try {
               const rp = link.getAttribute('data-flutter-path') || link.getAttribute('href') || '/';
-              const url = this.getFlutterUrl(rp);
-              console.log(`[EnvironmentRedirect] Click handler computed URL: ${url}`);
-              // Ensure opening external URL even if href was stale
-              const flutterBase = this.getFlutterBase();
-              if (url !== link.href || !url.startsWith(flutterBase)) {
+              // Mobile visitors try the native app first
+              if (link.hasAttribute('data-flutter-path') && this.openInApp(rp)) {
                 e.preventDefault();
-                console.log(`[EnvironmentRedirect] Opening URL in new tab: ${url}`);
-                window.open(url, link.target || '_blank');
+                return;
               }
+              const url = this.getFlutterUrl(rp);
+              log.debug(`Click handler computed URL: ${url}`);
+              // A fresh href to an origin known to be up opens normally
+              if (url === link.href && this.getCachedAvailability(new URL(url).origin) === true) return;
+              e.preventDefault();
+              this.navigate(url, link.target || '_blank', { returnFocus: link });
             } catch(_) {}
           }, { passive: false });
           link.setAttribute('data-env-redirect-setup', 'true');
         });
-        // Only mark as setup if we actually found and processed links
-        if (links.length > 0) {
-          this.isSetup = true;
-        }
       }
 
-      refreshFlutterLinks() {
-        const links = document.querySelectorAll('a.flutter-link[data-env-redirect-setup]');
+      // Recompute the URLs of links already set up, e.g. after a language change
+      refreshFlutterLinks(root = document) {
+        const links = root.querySelectorAll('a.flutter-link[data-env-redirect-setup]');
         links.forEach(link => {
           const routePath = link.getAttribute('data-flutter-path') || link.getAttribute('href') || '/';
           link.href = this.getFlutterUrl(routePath);
         });
       }
-
-      setupListeners() {
-        document.addEventListener('languageChanged', () => {
-          this.refreshFlutterLinks();
-        });
-        document.addEventListener('partialsLoaded', () => {
-          // Remove setup markers from all links to allow reprocessing
-          document.querySelectorAll('a.flutter-link[data-env-redirect-setup]').forEach(link => {
-            link.removeAttribute('data-env-redirect-setup');
-          });
-          this.isSetup = false;
-          this.setupFlutterLinks();
-          this.refreshFlutterLinks();
-        });
-        document.addEventListener('DOMContentLoaded', () => {
-          this.isSetup = false;
-          this.setupFlutterLinks();
-          this.refreshFlutterLinks();
-        });
-        if (document.readyState !== 'loading') {
-          this.isSetup = false;
-          this.setupFlutterLinks();
-          this.refreshFlutterLinks();
-        }
-      }
     }
 
     window.environmentRedirect = new EnvironmentRedirect();
   } catch (e) {
-    console.error('Environment redirect initialization failed:', e);
+    console.error('[EnvironmentRedirect] Initialization failed:', e);
   }
 })();
 
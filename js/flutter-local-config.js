@@ -8,11 +8,17 @@
  * - URL parameter: ?flutter_port=55425
  * - Meta tag: <meta name="flutter-local-origin" content="http://localhost:55425">
  * - localStorage: localStorage.setItem('flutter_local_origin', 'http://localhost:55425')
+ *
+ * Without any of these, EnvironmentRedirect probes the ports listed under
+ * "local.flutterPorts" in config/environments.json and uses the one that answers.
  */
 
 // Set your Flutter dev server origin here:
-window.FLUTTER_LOCAL_ORIGIN = 'http://localhost:56899';
+// window.FLUTTER_LOCAL_ORIGIN = 'http://localhost:56899';
 
-console.log('[Flutter Local Config] Set Flutter origin to:', window.FLUTTER_LOCAL_ORIGIN);
+if (window.FLUTTER_LOCAL_ORIGIN) {
+  const log = window.logger ? window.logger.create('FlutterLocalConfig') : console;
+  log.info('Set Flutter origin to:', window.FLUTTER_LOCAL_ORIGIN);
+}
 
 
@@ -1,26 +1,63 @@
 // Language Manager for Denu Website
 class LanguageManager {
-  constructor() {
-    this.translations = this.loadTranslations();
-    this.currentLanguage = this.getLanguageFromURL() || this.getStoredLanguage() || this.detectBrowserLanguage();
-    this.init();
+  // Options (used by scripts/build.js to render pages outside the browser):
+  //   language     - start in this language instead of detecting one
+  //   translations - preloaded bundles, keyed by locale code
+  //   autoInit     - false to skip touching the document
+  constructor(options = {}) {
+    this.locales = {
+      en: { name: 'English', dir: 'ltr', currency: 'USD' },
+      // Persian digits and the Solar Hijri (Jalali) calendar; override per call
+      // with { numberingSystem: 'latn' } or { calendar: 'gregory' }. Prices
+      // default to Toman (IRT), which has no ISO code, see formatCurrency()
+      fa: { name: 'فارسی', dir: 'rtl', numberingSystem: 'arabext', calendar: 'persian', currency: 'IRT' }
+    };
+    this.log = typeof window !== 'undefined' && window.logger ? window.logger.create('LanguageManager') : console;
+    this.defaultLanguage = 'en';
+    this.bundlePath = '/i18n';
+    this.translations = options.translations || {};
+    this.pendingBundles = {};
+    this.pluralRules = {};
+    this.formatters = {};
+    this.currentLanguage = options.language || this.getLanguageFromURL() || this.getStoredLanguage() || this.detectBrowserLanguage();
+    this.ready = options.autoInit === false ? Promise.resolve() : this.init();
   }
 
-  // Get language from URL parameter
+  // Get language from URL parameter, or from the locale a pre-rendered page was built for
   getLanguageFromURL() {
     const urlParams = new URLSearchParams(window.location.search);
     const langParam = urlParams.get('lang');
-    if (langParam && this.translations && this.translations[langParam]) {
+    if (this.isSupported(langParam)) {
       return langParam;
     }
+    const prerendered = this.getPrerenderedLanguage();
+    if (this.isSupported(prerendered)) {
+      return prerendered;
+    }
     return null;
   }
 
+  // Locale of a page pre-rendered by scripts/build.js (<html data-prerendered="fa">)
+  getPrerenderedLanguage() {
+    return document.documentElement.getAttribute('data-prerendered');
+  }
+
+  // URL of this page's pre-rendered variant for a language, from its hreflang alternates
+  getLocalizedUrl(lang) {
+    const alternate = document.querySelector(`link[rel="alternate"][hreflang="${lang}"]`);
+    if (!alternate) return null;
+    const url = new URL(alternate.getAttribute('href'), window.location.href);
+    url.search = window.location.search;
+    url.searchParams.delete('lang');
+    url.hash = window.location.hash;
+    return url.toString();
+  }
+
   // Enhanced browser language detection with geographic support
   detectBrowserLanguage() {
     // 1. Check for stored language preference first
     const storedLang = this.getStoredLanguage();
-    if (storedLang && this.translations[storedLang]) {
+    if (this.isSupported(storedLang)) {
       return storedLang;
     }
 
@@ -28,7 +65,7 @@ class LanguageManager {
     if (navigator.languages && navigator.languages.length > 0) {
       for (const lang of navigator.languages) {
         const primaryLang = lang.split('-')[0];
-        if (this.translations[primaryLang]) {
+        if (this.isSupported(primaryLang)) {
           return primaryLang;
         }
       }
@@ -38,7 +75,7 @@ class LanguageManager {
     const browserLang = navigator.language || navigator.userLanguage;
     if (browserLang) {
       const primaryLang = browserLang.split('-')[0];
-      if (this.translations[primaryLang]) {
+      if (this.isSupported(primaryLang)) {
         return primaryLang;
       }
     }
@@ -62,198 +99,118 @@ class LanguageManager {
     }
   }
 
-  // Get stored language from localStorage
+  // Get stored language from the shared preferences (js/preferences.js)
   getStoredLanguage() {
-    return localStorage.getItem('language');
+    return window.preferences ? window.preferences.get('language') : null;
   }
 
-  // Store language preference
+  // Store language preference; its "lang" cookie also lets nginx skip Accept-Language redirects
   setStoredLanguage(lang) {
-    localStorage.setItem('language', lang);
-  }
-
-  // Load translation data
-  loadTranslations() {
-    return {
-      en: {
-        // Navigation
-        'nav.home': 'Home',
-        'nav.products': 'Products',
-        'nav.developers': 'Developers',
-        'nav.resources': 'Resources',
-        'nav.api': 'API',
-        'nav.dashboard': 'Dashboard',
-        'nav.docs': 'Documentation',
-        'nav.sdk': 'SDKs',
-        'nav.about': 'About Us',
-        'nav.pricing': 'Pricing',
-        'nav.contact': 'Contact Us',
-        'nav.sign-in': 'Login'  ,
-        'nav.sign-up': 'Get Started for Free',
-        'nav.request-demo': 'Request Demo',
-        'nav.discover': 'Discover Places',
-
-        // Footer
-        'footer.products': 'Products',
-        'footer.developers': 'Developers',
-        'footer.resources': 'Resources',
-        'footer.description': 'AI-powered location-based discovery platform that helps you find amazing places around you. Discover restaurants, cafes, attractions, and hidden gems with intelligent recommendations.',
-        'footer.company': 'Built by',
-        'footer.company-desc': 'Denu is an innovative location discovery platform designed to revolutionize how people explore their surroundings.',
-        'footer.privacy': 'Privacy Policy',
-        'footer.terms': 'Terms of Service',
-        'footer.copyright': 'All rights reserved.',
-
-        // Homepage
-        'home.hero.title': 'Discover Amazing Places Around You',
-        'home.hero.subtitle': 'Find the best restaurants, cafes, attractions, and hidden gems in your area with AI-powered recommendations.',
-        'home.hero.cta': 'Start Exploring',
-        'home.hero.learn-more': 'Learn More',
-        'home.features.title': 'Why Choose Denu?',
-        'home.features.discovery.title': 'Smart Discovery',
-        'home.features.discovery.desc': 'AI-powered recommendations based on your preferences and location.',
-        'home.features.local.title': 'Local Expertise',
-        'home.features.local.desc': 'Discover hidden gems and local favorites that tourists miss.',
-        'home.features.reviews.title': 'Real Reviews',
-        'home.features.reviews.desc': 'Read authentic reviews from real people who have been there.',
-
-        // About Page
-        'about.hero.title': 'About Denu',
-        'about.hero.subtitle': 'We\'re revolutionizing how people discover amazing places around them.',
-        'about.mission.title': 'Our Mission',
-        'about.mission.desc': 'To help people discover the best places around them through intelligent recommendations and local insights.',
-        'about.vision.title': 'Our Vision',
-        'about.vision.desc': 'A world where everyone can easily find and enjoy the best experiences in their local area.',
-
-        // Contact Page
-        'contact.hero.title': 'Get in Touch',
-        'contact.hero.subtitle': 'Have questions or feedback? We\'d love to hear from you.',
-        'contact.form.name': 'Your Name',
-        'contact.form.email': 'Email Address',
-        'contact.form.message': 'Message',
-        'contact.form.submit': 'Send Message',
-
-        // Privacy Policy
-        'privacy.title': 'Privacy Policy',
-        'privacy.intro': 'Your privacy is important to us. This policy explains how we collect, use, and protect your information.',
-        'privacy.collection.title': 'Information We Collect',
-        'privacy.collection.desc': 'We collect information you provide directly to us and information automatically collected when you use our service.',
-        'privacy.use.title': 'How We Use Your Information',
-        'privacy.use.desc': 'We use your information to provide, maintain, and improve our services.',
-
-        // Terms of Service
-        'terms.title': 'Terms of Service',
-        'terms.intro': 'These terms govern your use of our service. By using Denu, you agree to these terms.',
-        'terms.acceptance.title': 'Acceptance of Terms',
-        'terms.acceptance.desc': 'By accessing or using our service, you agree to be bound by these terms.',
-        'terms.use.title': 'Use of Service',
-        'terms.use.desc': 'You may use our service for lawful purposes only and in accordance with these terms.'
-      },
-      fa: {
-        // Navigation
-        'nav.home': 'خانه',
-        'nav.products': 'محصولات',
-        'nav.developers': 'توسعه‌دهندگان',
-        'nav.resources': 'منابع',
-        'nav.api': 'API',
-        'nav.dashboard': 'داشبورد',
-        'nav.docs': 'مستندات',
-        'nav.sdk': 'SDK ها',
-        'nav.about': 'درباره دنو',
-        'nav.pricing': 'قیمت‌گذاری',
-        'nav.contact': 'تماس',
-        'nav.sign-in': 'ورود',
-        'nav.sign-up': 'رایگان شروع کنید',
-        'nav.request-demo': 'درخواست دمو',
-        'nav.discover': 'کشف مکان‌ها',
-
-        // Footer
-        'footer.products': 'محصولات',
-        'footer.developers': 'توسعه‌دهندگان',
-        'footer.resources': 'منابع',
-        'footer.description': 'پلتفرم کشف مکان‌های جذاب با هوش مصنوعی که به شما کمک می‌کند مکان‌های فوق‌العاده اطرافتان را پیدا کنید. رستوران‌ها، کافه‌ها، جاذبه‌ها و گنجینه‌های پنهان را با توصیه‌های هوشمند کشف کنید.',
-        'footer.company': 'ساخته شده توسط',
-        'footer.company-desc': 'دنو یک پلتفرم نوآورانه کشف مکان است که برای انقلاب در نحوه کشف محیط اطراف مردم طراحی شده است.',
-        'footer.privacy': 'سیاست حریم خصوصی',
-        'footer.terms': 'شرایط استفاده',
-        'footer.copyright': 'تمام حقوق محفوظ است.',
-
-        // Homepage
-        'home.hero.title': 'مکان‌های فوق‌العاده اطرافتان را کشف کنید',
-        'home.hero.subtitle': 'بهترین رستوران‌ها، کافه‌ها، جاذبه‌ها و گنجینه‌های پنهان منطقه خود را با توصیه‌های هوشمند پیدا کنید.',
-        'home.hero.cta': 'شروع کاوش',
-        'home.hero.learn-more': 'بیشتر بدانید',
-        'home.features.title': 'چرا دنو را انتخاب کنید؟',
-        'home.features.discovery.title': 'کشف هوشمند',
-        'home.features.discovery.desc': 'توصیه‌های هوشمند بر اساس ترجیحات و موقعیت شما.',
-        'home.features.local.title': 'تخصص محلی',
-        'home.features.local.desc': 'گنجینه‌های پنهان و علاقه‌مندی‌های محلی که گردشگران از دست می‌دهند را کشف کنید.',
-        'home.features.reviews.title': 'نقدهای واقعی',
-        'home.features.reviews.desc': 'نقدهای معتبر از افراد واقعی که آنجا بوده‌اند بخوانید.',
-
-        // About Page
-        'about.hero.title': 'درباره دنو',
-        'about.hero.subtitle': 'ما نحوه کشف مکان‌های فوق‌العاده توسط مردم را متحول می‌کنیم.',
-        'about.mission.title': 'ماموریت ما',
-        'about.mission.desc': 'کمک به مردم برای کشف بهترین مکان‌های اطرافشان از طریق توصیه‌های هوشمند و بینش‌های محلی.',
-        'about.vision.title': 'چشم‌انداز ما',
-        'about.vision.desc': 'جهانی که در آن همه بتوانند به راحتی بهترین تجربیات منطقه خود را پیدا کنند و از آن لذت ببرند.',
-
-        // Contact Page
-        'contact.hero.title': 'تماس با ما',
-        'contact.hero.subtitle': 'سوال یا نظری دارید؟ دوست داریم از شما بشنویم.',
-        'contact.form.name': 'نام شما',
-        'contact.form.email': 'آدرس ایمیل',
-        'contact.form.message': 'پیام',
-        'contact.form.submit': 'ارسال پیام',
-
-        // Privacy Policy
-        'privacy.title': 'سیاست حریم خصوصی',
-        'privacy.intro': 'حریم خصوصی شما برای ما مهم است. این سیاست توضیح می‌دهد که چگونه اطلاعات شما را جمع‌آوری، استفاده و محافظت می‌کنیم.',
-        'privacy.collection.title': 'اطلاعاتی که جمع‌آوری می‌کنیم',
-        'privacy.collection.desc': 'ما اطلاعاتی که مستقیماً به ما ارائه می‌دهید و اطلاعاتی که هنگام استفاده از سرویس ما به طور خودکار جمع‌آوری می‌شود را جمع‌آوری می‌کنیم.',
-        'privacy.use.title': 'نحوه استفاده از اطلاعات شما',
-        'privacy.use.desc': 'ما از اطلاعات شما برای ارائه، نگهداری و بهبود خدماتمان استفاده می‌کنیم.',
-
-        // Terms of Service
-        'terms.title': 'شرایط استفاده',
-        'terms.intro': 'این شرایط استفاده از سرویس ما را تنظیم می‌کند. با استفاده از دنو، شما با این شرایط موافقت می‌کنید.',
-        'terms.acceptance.title': 'پذیرش شرایط',
-        'terms.acceptance.desc': 'با دسترسی یا استفاده از سرویس ما، شما با این شرایط موافقت می‌کنید.',
-        'terms.use.title': 'استفاده از سرویس',
-        'terms.use.desc': 'شما می‌توانید از سرویس ما فقط برای اهداف قانونی و مطابق با این شرایط استفاده کنید.'
-      }
-    };
+    if (window.preferences) window.preferences.set('language', lang);
+  }
+
+  // Check whether a language (or its base language) has a bundle
+  isSupported(lang) {
+    if (!lang) return false;
+    return Boolean(this.locales[lang] || this.locales[lang.split('-')[0]]);
+  }
+
+  // Locales to consult for a language: requested locale -> base language -> en
+  getFallbackChain(lang) {
+    const chain = [lang, lang.split('-')[0], this.defaultLanguage];
+    return chain.filter((code, index) => code && chain.indexOf(code) === index);
   }
 
-  // Initialize the language manager
+  // Fetch a single locale bundle, caching both the result and the request
+  loadBundle(lang) {
+    if (this.translations[lang]) return Promise.resolve(this.translations[lang]);
+    if (!this.pendingBundles[lang]) {
+      this.pendingBundles[lang] = fetch(`${this.bundlePath}/${lang}.json`)
+        .then(res => {
+          if (!res.ok) throw new Error(`HTTP ${res.status}`);
+          return res.json();
+        })
+        .then(bundle => {
+          this.translations[lang] = bundle;
+          return bundle;
+        })
+        .catch(err => {
+          // Missing regional bundles are expected; the fallback chain covers them
+          if (this.locales[lang]) this.log.warn(`Failed to load translations for ${lang}`, err);
+          delete this.pendingBundles[lang];
+          return null;
+        });
+    }
+    return this.pendingBundles[lang];
+  }
+
+  // Load every bundle in the fallback chain of a language
+  loadTranslations(lang) {
+    return Promise.all(this.getFallbackChain(lang).map(code => this.loadBundle(code)));
+  }
+
+  // Initialize the language manager. Only a ?lang= parameter is remembered as
+  // the visitor's choice, not the language of whichever page they opened.
   init() {
-    this.setLanguage(this.currentLanguage);
-    this.updatePageLanguage();
-    this.updateMetaTags();
+    const requested = new URLSearchParams(window.location.search).get('lang');
+    return this.setLanguage(this.currentLanguage, { store: requested === this.currentLanguage });
   }
 
-  // Set the current language
-  setLanguage(lang) {
-    if (!this.translations[lang]) {
-      console.warn(`Language ${lang} not supported`);
-      return;
+  // Set the current language; resolves once its bundle is loaded and the page
+  // translated, or with { redirect: url } when a pre-rendered page loads its
+  // localized variant instead.
+  //   options.store - false to show the language without remembering it
+  setLanguage(lang, options = {}) {
+    if (!this.isSupported(lang)) {
+      this.log.warn(`Language ${lang} not supported`);
+      return Promise.resolve();
+    }
+
+    if (options.store !== false) this.setStoredLanguage(lang);
+
+    // Pre-rendered pages switch language by loading their localized variant
+    const prerendered = this.getPrerenderedLanguage();
+    if (prerendered && prerendered !== lang) {
+      const localizedUrl = this.getLocalizedUrl(lang);
+      if (localizedUrl) {
+        window.location.href = localizedUrl;
+        return Promise.resolve({ redirect: localizedUrl });
+      }
     }
 
     this.currentLanguage = lang;
-    this.setStoredLanguage(lang);
     this.updatePageLanguage();
     this.updateMetaTags();
-    this.translatePage();
+
+    return this.loadTranslations(lang).then(() => {
+      // A newer setLanguage() call may have won the race
+      if (this.currentLanguage !== lang) return;
+      this.translatePage();
+      document.dispatchEvent(new CustomEvent('languageChanged', { detail: { language: lang } }));
+    });
+  }
+
+  // Get the metadata of a language, falling back to its base language
+  getLocale(lang) {
+    return this.locales[lang] || this.locales[lang.split('-')[0]] || this.locales[this.defaultLanguage];
+  }
+
+  // Get text direction ('ltr' or 'rtl') for a language
+  getDirection(lang = this.currentLanguage) {
+    return this.getLocale(lang).dir || 'ltr';
   }
 
-  // Update page language attribute
+  // Update page language and direction attributes
   updatePageLanguage() {
     document.documentElement.lang = this.currentLanguage;
+    document.documentElement.dir = this.getDirection();
   }
 
   // Update meta tags for language
   updateMetaTags() {
+    // Pre-rendered pages already carry the canonical URL of their locale
+    if (this.getPrerenderedLanguage()) return;
+
     // Update canonical URL with language parameter
     const canonical = document.querySelector('link[rel="canonical"]');
     if (canonical) {
@@ -267,13 +224,14 @@ class LanguageManager {
     }
   }
 
-  // Translate all elements with data-lang attributes
-  translatePage() {
-    const elements = document.querySelectorAll('[data-lang]');
+  // Translate all elements with data-lang attributes; pass an element to
+  // translate only content added inside it
+  translatePage(root = document) {
+    const elements = root.querySelectorAll('[data-lang]');
     elements.forEach(element => {
       const key = element.getAttribute('data-lang');
-      const translation = this.translations[this.currentLanguage][key];
-      
+      const translation = this.findTranslation(key, this.getElementArgs(element));
+
       if (translation) {
         if (element.tagName === 'INPUT' && element.type === 'text') {
           element.placeholder = translation;
@@ -305,24 +263,224 @@ class LanguageManager {
         }
       }
     });
+
+    this.translateAttributes(root);
+    this.translateFormats(root);
+    if (root === document) {
+      this.translateMetaTags();
+      this.translateStructuredData();
+    }
+  }
+
+  // Translate attributes declared as data-lang-attr="aria-label:nav.menu; title:nav.menu"
+  translateAttributes(root = document) {
+    root.querySelectorAll('[data-lang-attr]').forEach(element => {
+      const args = this.getElementArgs(element);
+      element.getAttribute('data-lang-attr').split(';').forEach(pair => {
+        const separator = pair.indexOf(':');
+        if (separator === -1) return;
+        const attribute = pair.slice(0, separator).trim();
+        const translation = this.findTranslation(pair.slice(separator + 1).trim(), args);
+        if (attribute && translation) element.setAttribute(attribute, translation);
+      });
+    });
+  }
+
+  // Re-render data-lang-number and data-lang-date elements in the current locale
+  translateFormats(root = document) {
+    root.querySelectorAll('[data-lang-number]').forEach(element => {
+      const value = Number(element.getAttribute('data-lang-number'));
+      if (Number.isNaN(value)) return;
+      element.textContent = this.formatNumber(value, this.getElementOptions(element, 'data-lang-number-options'));
+    });
+    root.querySelectorAll('[data-lang-date]').forEach(element => {
+      const date = this.parseDate(element.getAttribute('data-lang-date'));
+      if (!date) return;
+      element.textContent = this.formatDate(date, this.getElementOptions(element, 'data-lang-date-options'));
+    });
+  }
+
+  // Read Intl options from a JSON attribute such as data-lang-date-options='{"year": "numeric"}'
+  getElementOptions(element, attribute) {
+    const raw = element.getAttribute(attribute);
+    if (!raw) return {};
+    try {
+      return JSON.parse(raw);
+    } catch (e) {
+      this.log.warn(`Invalid ${attribute}:`, raw);
+      return {};
+    }
+  }
+
+  // Parse "now", a calendar date ("2025-01-17", read as local time) or any Date-parsable string
+  parseDate(value) {
+    if (value instanceof Date) return value;
+    if (!value || value === 'now') return new Date();
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+    const date = match ? new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3])) : new Date(value);
+    return Number.isNaN(date.getTime()) ? null : date;
+  }
+
+  // Get a cached Intl formatter with the locale's numbering system and calendar applied
+  getFormatter(type, options = {}) {
+    const lang = this.currentLanguage;
+    const locale = this.getLocale(lang);
+    const resolved = Object.assign({}, options);
+    if (locale.numberingSystem && !resolved.numberingSystem) resolved.numberingSystem = locale.numberingSystem;
+    if (type === 'date' && locale.calendar && !resolved.calendar) resolved.calendar = locale.calendar;
+
+    const cacheKey = `${type}|${lang}|${JSON.stringify(resolved)}`;
+    if (!this.formatters[cacheKey]) {
+      this.formatters[cacheKey] = type === 'date'
+        ? new Intl.DateTimeFormat(lang, resolved)
+        : new Intl.NumberFormat(lang, resolved);
+    }
+    return this.formatters[cacheKey];
+  }
+
+  // Format a number for the current language, e.g. formatNumber(3560) -> "۳٬۵۶۰" in fa
+  formatNumber(value, options = {}) {
+    return this.getFormatter('number', options).format(value);
+  }
+
+  // Format an amount of money for the current language, e.g. formatCurrency(12, 'USD')
+  // -> "$12"; currencies without an ISO code use their "currency.<code>.format"
+  // message, e.g. "{amount} Toman"
+  formatCurrency(value, currency, options = {}) {
+    const format = this.lookup(`currency.${currency}.format`);
+    if (format !== undefined) {
+      const amount = this.formatNumber(value, Object.assign({ maximumFractionDigits: 0 }, options));
+      return this.formatMessage(format, { amount });
+    }
+    const whole = Number.isInteger(value) ? { minimumFractionDigits: 0 } : {};
+    return this.formatNumber(value, Object.assign({ style: 'currency', currency }, whole, options));
+  }
+
+  // Format a date for the current language, e.g. formatDate('now', { year: 'numeric' }) -> "۱۴۰۴" in fa
+  formatDate(value, options = {}) {
+    const date = this.parseDate(value);
+    return date ? this.getFormatter('date', options).format(date) : '';
+  }
+
+  // Translate <title>, description and social tags from the <page>.meta.* keys
+  // of the page named by <body data-lang-page="...">
+  translateMetaTags() {
+    const page = document.body && document.body.getAttribute('data-lang-page');
+    if (!page) return;
+
+    const title = this.findTranslation(`${page}.meta.title`);
+    const description = this.findTranslation(`${page}.meta.description`);
+    const socialTitle = this.findTranslation(`${page}.meta.social-title`) || title;
+    const socialDescription = this.findTranslation(`${page}.meta.social-description`) || description;
+
+    if (title) {
+      document.title = title;
+      this.setMetaContent('meta[name="title"]', title);
+    }
+    this.setMetaContent('meta[name="description"]', description);
+    this.setMetaContent('meta[property="og:title"], meta[property="twitter:title"], meta[name="twitter:title"]', socialTitle);
+    this.setMetaContent('meta[property="og:description"], meta[property="twitter:description"], meta[name="twitter:description"]', socialDescription);
+  }
+
+  // Set the content attribute of every meta tag matching a selector
+  setMetaContent(selector, content) {
+    if (!content) return;
+    document.querySelectorAll(selector).forEach(meta => meta.setAttribute('content', content));
+  }
+
+  // Translate JSON-LD fields mapped by data-lang-jsonld='{"mainEntity.name": "contact.meta.title"}'
+  translateStructuredData() {
+    document.querySelectorAll('script[type="application/ld+json"][data-lang-jsonld]').forEach(script => {
+      try {
+        const fields = JSON.parse(script.getAttribute('data-lang-jsonld'));
+        const data = JSON.parse(script.textContent);
+        Object.keys(fields).forEach(path => {
+          const translation = this.findTranslation(fields[path]);
+          if (translation) this.setPath(data, path, translation);
+        });
+        script.textContent = JSON.stringify(data, null, 2);
+      } catch (e) {
+        this.log.warn('Failed to translate structured data', e);
+      }
+    });
+  }
+
+  // Set a value at a dot-separated path such as "itemListElement.1.name"
+  setPath(target, path, value) {
+    const parts = path.split('.');
+    const last = parts.pop();
+    const parent = parts.reduce((node, part) => (node ? node[part] : undefined), target);
+    if (parent && typeof parent === 'object') parent[last] = value;
+  }
+
+  // Find a key in the current language's fallback chain
+  lookup(key) {
+    for (const code of this.getFallbackChain(this.currentLanguage)) {
+      const bundle = this.translations[code];
+      if (bundle && bundle[key] !== undefined) return bundle[key];
+    }
+    return undefined;
+  }
+
+  // Read placeholder values from an element's data-lang-args JSON attribute
+  getElementArgs(element) {
+    const raw = element.getAttribute('data-lang-args');
+    if (!raw) return {};
+    try {
+      return JSON.parse(raw);
+    } catch (e) {
+      this.log.warn(`Invalid data-lang-args on ${element.getAttribute('data-lang')}:`, raw);
+      return {};
+    }
+  }
+
+  // Get the cached Intl.PluralRules instance for the current language
+  getPluralRules() {
+    const lang = this.currentLanguage;
+    if (!this.pluralRules[lang]) {
+      this.pluralRules[lang] = new Intl.PluralRules(lang);
+    }
+    return this.pluralRules[lang];
+  }
+
+  // Pick a plural form by args.count: exact matches ("=0") first, then the CLDR category
+  selectPluralForm(forms, count) {
+    if (count === undefined || count === null) return forms.other;
+    if (forms[`=${count}`] !== undefined) return forms[`=${count}`];
+    const category = this.getPluralRules().select(Number(count));
+    return forms[category] !== undefined ? forms[category] : forms.other;
+  }
+
+  // Replace {name} placeholders with values from args, leaving unknown ones intact;
+  // numbers are formatted for the current language
+  interpolate(message, args) {
+    return message.replace(/\{(\w+)\}/g, (match, name) => {
+      const value = args[name];
+      if (value === undefined || value === null) return match;
+      return typeof value === 'number' ? this.formatNumber(value) : String(value);
+    });
+  }
+
+  // Turn a bundle entry (plain string or plural forms object) into display text
+  formatMessage(message, args = {}) {
+    const text = typeof message === 'object' ? this.selectPluralForm(message, args.count) : message;
+    return text === undefined ? '' : this.interpolate(text, args);
+  }
+
+  // Get the formatted translation for a key, or undefined when no locale has it
+  findTranslation(key, args = {}) {
+    const message = this.lookup(key);
+    return message !== undefined ? this.formatMessage(message, args) : undefined;
   }
 
-  // Get translation for a key
-  getTranslation(key) {
-    return this.translations[this.currentLanguage][key] || key;
+  // Get translation for a key, e.g. getTranslation('home.hero.discover', { count: 3560 })
+  getTranslation(key, args = {}) {
+    const translation = this.findTranslation(key, args);
+    return translation !== undefined ? translation : key;
   }
 }
 
-// Initialize language manager when DOM is ready
-document.addEventListener('DOMContentLoaded', function() {
-  window.languageManager = new LanguageManager();
-});
-
-// Also initialize if DOM is already loaded
-if (document.readyState === 'loading') {
-  document.addEventListener('DOMContentLoaded', function() {
-    window.languageManager = new LanguageManager();
-  });
-} else {
-  window.languageManager = new LanguageManager();
+// Expose the class to Node build scripts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = LanguageManager;
 }
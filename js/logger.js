@@ -0,0 +1,62 @@
+/**
+ * Leveled console logger
+ * - window.logger.create('Tag') returns { debug, info, warn, error }, each
+ *   writing "[Tag] ..." to the console when the level allows it
+ * - Level order: debug < info < warn < error < silent
+ * - ?log_level=debug or localStorage "log_level" picks a level explicitly;
+ *   otherwise EnvironmentRedirect sets the default: silent in prod, info elsewhere
+ */
+(function() {
+  const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+  const STORAGE_KEY = 'log_level';
+  const urlLevel = new URLSearchParams(window.location.search).get(STORAGE_KEY);
+  let defaultLevel = 'info';
+
+  function getStoredLevel() {
+    try {
+      return localStorage.getItem(STORAGE_KEY);
+    } catch (e) {
+      return null;
+    }
+  }
+
+  // Level in effect: URL, then localStorage, then the environment default
+  function getLevel() {
+    if (LEVELS[urlLevel]) return urlLevel;
+    const stored = getStoredLevel();
+    return LEVELS[stored] ? stored : defaultLevel;
+  }
+
+  // Persist a level for this browser; null goes back to the environment default
+  function setLevel(level) {
+    try {
+      if (LEVELS[level]) localStorage.setItem(STORAGE_KEY, level);
+      else localStorage.removeItem(STORAGE_KEY);
+    } catch (e) {}
+  }
+
+  function setDefaultLevel(level) {
+    if (LEVELS[level]) defaultLevel = level;
+  }
+
+  function create(tag) {
+    const log = {};
+    ['debug', 'info', 'warn', 'error'].forEach(level => {
+      // console.debug is hidden by default in most browsers
+      const method = level === 'debug' ? 'log' : level;
+      log[level] = (...args) => {
+        if (LEVELS[level] < LEVELS[getLevel()]) return;
+        console[method](`[${tag}]`, ...args);
+      };
+    });
+    return log;
+  }
+
+  window.logger = {
+    levels: Object.keys(LEVELS),
+    create,
+    getLevel,
+    setLevel,
+    setDefaultLevel
+  };
+})();
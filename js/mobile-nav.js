@@ -1,52 +1,219 @@
 /**
- * Mobile Navigation - Hamburger menu functionality
+ * Navigation
+ * - Mobile drawer: a modal dialog opened by the hamburger button. Escape, the
+ *   close button, the overlay, a link or a swipe towards the screen edge close
+ *   it; focus stays inside while it is open and returns to the button after.
+ *   The page is locked in place behind it and keeps its scroll position.
+ * - Navbar dropdowns: .dropdown-toggle buttons open their .dropdown-content;
+ *   arrow keys, Home and End move between its links, Escape closes it
  */
+(function() {
+  const FOCUSABLE = 'a[href], button:not([disabled]), input:not([disabled]), select:not([disabled]), textarea:not([disabled]), [tabindex]:not([tabindex="-1"])';
 
-window.initMobileNav = function() {
-  const hamburger = document.getElementById('hamburger');
-  const mobileNavDrawer = document.getElementById('mobileNavDrawer');
-  const mobileNavOverlay = document.getElementById('mobileNavOverlay');
-  const mobileNavClose = document.getElementById('mobileNavClose');
-
-  if (!hamburger) {
-    console.log('[MobileNav] Hamburger element not found');
-    return;
-  }
-
-  // Open drawer
-  function openDrawer() {
-    if (mobileNavDrawer) mobileNavDrawer.classList.add('active');
-    if (mobileNavOverlay) mobileNavOverlay.classList.add('active');
-    document.body.style.overflow = 'hidden';
-  }
-
-  // Close drawer
-  function closeDrawer() {
-    if (mobileNavDrawer) mobileNavDrawer.classList.remove('active');
-    if (mobileNavOverlay) mobileNavOverlay.classList.remove('active');
-    document.body.style.overflow = '';
-  }
-
-  // Event listeners
-  hamburger.addEventListener('click', openDrawer);
-  
-  if (mobileNavClose) {
-    mobileNavClose.addEventListener('click', closeDrawer);
-  }
-  
-  if (mobileNavOverlay) {
-    mobileNavOverlay.addEventListener('click', closeDrawer);
-  }
-
-  // Close drawer when clicking on links
-  if (mobileNavDrawer) {
-    const links = mobileNavDrawer.querySelectorAll('a');
-    links.forEach(link => {
+  window.initMobileNav = function() {
+    const log = window.logger ? window.logger.create('MobileNav') : console;
+    const hamburger = document.getElementById('hamburger');
+    const mobileNavDrawer = document.getElementById('mobileNavDrawer');
+    const mobileNavOverlay = document.getElementById('mobileNavOverlay');
+    const mobileNavClose = document.getElementById('mobileNavClose');
+
+    if (!hamburger || !mobileNavDrawer) {
+      log.debug('Hamburger or drawer not found');
+      return;
+    }
+
+    // Already wired up for this markup
+    if (hamburger.hasAttribute('data-mobile-nav-ready')) return;
+    hamburger.setAttribute('data-mobile-nav-ready', 'true');
+
+    // Share of the drawer width a swipe must cover to close it
+    const SWIPE_CLOSE_RATIO = 0.3;
+    let scrollY = 0;
+    let returnFocus = null;
+
+    function isOpen() {
+      return mobileNavDrawer.classList.contains('active');
+    }
+
+    // Fix the page in place, so it neither scrolls behind the drawer nor jumps
+    // back to the top when unlocked
+    function lockScroll() {
+      scrollY = window.scrollY;
+      Object.assign(document.body.style, { position: 'fixed', top: `-${scrollY}px`, insetInline: '0', overflow: 'hidden' });
+    }
+
+    function unlockScroll() {
+      Object.assign(document.body.style, { position: '', top: '', insetInline: '', overflow: '' });
+      window.scrollTo(0, scrollY);
+    }
+
+    function getFocusable() {
+      return Array.from(mobileNavDrawer.querySelectorAll(FOCUSABLE));
+    }
+
+    // Open drawer
+    function openDrawer() {
+      if (isOpen()) return;
+      returnFocus = document.activeElement;
+      mobileNavDrawer.classList.add('active');
+      if (mobileNavOverlay) mobileNavOverlay.classList.add('active');
+      hamburger.setAttribute('aria-expanded', 'true');
+      lockScroll();
+      (mobileNavClose || getFocusable()[0] || mobileNavDrawer).focus();
+      document.addEventListener('keydown', onKeydown);
+    }
+
+    // Close drawer
+    function closeDrawer() {
+      if (!isOpen()) return;
+      mobileNavDrawer.classList.remove('active');
+      if (mobileNavOverlay) mobileNavOverlay.classList.remove('active');
+      hamburger.setAttribute('aria-expanded', 'false');
+      unlockScroll();
+      document.removeEventListener('keydown', onKeydown);
+      if (returnFocus && document.contains(returnFocus)) returnFocus.focus();
+      else hamburger.focus();
+    }
+
+    // Escape closes; Tab wraps around inside the drawer
+    function onKeydown(e) {
+      if (e.key === 'Escape') {
+        e.preventDefault();
+        closeDrawer();
+        return;
+      }
+      if (e.key !== 'Tab') return;
+      const focusable = getFocusable();
+      if (focusable.length === 0) {
+        e.preventDefault();
+        return;
+      }
+      const first = focusable[0];
+      const last = focusable[focusable.length - 1];
+      if (e.shiftKey && (document.activeElement === first || !mobileNavDrawer.contains(document.activeElement))) {
+        e.preventDefault();
+        last.focus();
+      } else if (!e.shiftKey && (document.activeElement === last || !mobileNavDrawer.contains(document.activeElement))) {
+        e.preventDefault();
+        first.focus();
+      }
+    }
+
+    // Swipe towards the inline end (right in LTR, left in RTL) to close
+    let touch = null;
+
+    function swipeDistance(e) {
+      const dx = e.touches[0].clientX - touch.x;
+      return document.documentElement.dir === 'rtl' ? -dx : dx;
+    }
+
+    mobileNavDrawer.addEventListener('touchstart', (e) => {
+      if (e.touches.length !== 1) return;
+      touch = { x: e.touches[0].clientX, y: e.touches[0].clientY, distance: 0, horizontal: null };
+    }, { passive: true });
+
+    mobileNavDrawer.addEventListener('touchmove', (e) => {
+      if (!touch) return;
+      // Decide once whether this gesture is a swipe or a scroll of the drawer
+      if (touch.horizontal === null) {
+        const dx = Math.abs(e.touches[0].clientX - touch.x);
+        const dy = Math.abs(e.touches[0].clientY - touch.y);
+        if (dx < 8 && dy < 8) return;
+        touch.horizontal = dx > dy;
+      }
+      if (!touch.horizontal) return;
+      touch.distance = Math.max(0, swipeDistance(e));
+      const offset = document.documentElement.dir === 'rtl' ? -touch.distance : touch.distance;
+      mobileNavDrawer.style.transition = 'none';
+      mobileNavDrawer.style.transform = `translateX(${offset}px)`;
+    }, { passive: true });
+
+    function endSwipe() {
+      if (!touch) return;
+      const shouldClose = touch.horizontal && touch.distance > mobileNavDrawer.offsetWidth * SWIPE_CLOSE_RATIO;
+      touch = null;
+      mobileNavDrawer.style.transition = '';
+      mobileNavDrawer.style.transform = '';
+      if (shouldClose) closeDrawer();
+    }
+
+    mobileNavDrawer.addEventListener('touchend', endSwipe);
+    mobileNavDrawer.addEventListener('touchcancel', endSwipe);
+
+    // Event listeners
+    hamburger.addEventListener('click', openDrawer);
+
+    if (mobileNavClose) {
+      mobileNavClose.addEventListener('click', closeDrawer);
+    }
+
+    if (mobileNavOverlay) {
+      mobileNavOverlay.addEventListener('click', closeDrawer);
+    }
+
+    // Close drawer when clicking on links
+    mobileNavDrawer.querySelectorAll('a').forEach(link => {
       link.addEventListener('click', closeDrawer);
     });
-  }
 
-  console.log('[MobileNav] Initialized');
-};
+    log.debug('Initialized');
+  };
+
+  window.initNavDropdowns = function(root = document) {
+    root.querySelectorAll('.dropdown').forEach(dropdown => {
+      const toggle = dropdown.querySelector('.dropdown-toggle');
+      const menu = dropdown.querySelector('.dropdown-content');
+      if (!toggle || !menu || toggle.hasAttribute('data-dropdown-ready')) return;
+      toggle.setAttribute('data-dropdown-ready', 'true');
 
+      const getLinks = () => Array.from(menu.querySelectorAll(FOCUSABLE));
 
+      function setOpen(open) {
+        dropdown.classList.toggle('open', open);
+        toggle.setAttribute('aria-expanded', String(open));
+      }
+
+      function focusLink(index) {
+        const links = getLinks();
+        if (links.length === 0) return;
+        links[(index + links.length) % links.length].focus();
+      }
+
+      toggle.addEventListener('click', () => {
+        setOpen(!dropdown.classList.contains('open'));
+      });
+
+      toggle.addEventListener('keydown', (e) => {
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+          e.preventDefault();
+          setOpen(true);
+          focusLink(e.key === 'ArrowDown' ? 0 : -1);
+        } else if (e.key === 'Escape') {
+          setOpen(false);
+        }
+      });
+
+      menu.addEventListener('keydown', (e) => {
+        const links = getLinks();
+        const index = links.indexOf(document.activeElement);
+        if (e.key === 'ArrowDown') focusLink(index + 1);
+        else if (e.key === 'ArrowUp') focusLink(index - 1);
+        else if (e.key === 'Home') focusLink(0);
+        else if (e.key === 'End') focusLink(-1);
+        else if (e.key === 'Escape') {
+          setOpen(false);
+          toggle.focus();
+        } else return;
+        e.preventDefault();
+      });
+
+      // Close once focus or a click lands outside the dropdown
+      dropdown.addEventListener('focusout', (e) => {
+        if (!dropdown.contains(e.relatedTarget)) setOpen(false);
+      });
+      document.addEventListener('click', (e) => {
+        if (!dropdown.contains(e.target)) setOpen(false);
+      });
+    });
+  };
+})();
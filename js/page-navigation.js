@@ -0,0 +1,263 @@
+/**
+ * In-place page navigation
+ * - Opt-in: on pages whose <main> carries data-page-swap, same-origin links to
+ *   other opted-in pages replace only <main>; navbar, drawer and footer stay
+ *   mounted and nothing is fetched or translated twice
+ * - Pages are prefetched on hover, focus or touch, and once their links scroll
+ *   into view (not when the browser asks to save data)
+ * - A swap updates the title, meta tags and structured data, pushes a history
+ *   entry and runs window.site.update() over the new content; back/forward
+ *   restore the scroll position
+ * - Scripts the new page loads and this one did not (js/contact-form.js on
+ *   /contact) are added before its content is wired up; inline scripts only
+ *   run on a full load
+ * - Anything unexpected (HTTP error, a page that is not opted in or loads
+ *   other partials, a script that fails to load) falls back to a normal
+ *   navigation
+ * - Dispatches pageChanged with { url } after each swap
+ *
+ * Load it before bootstrap.js, which starts it once the page is ready.
+ */
+(function() {
+  const log = window.logger ? window.logger.create('PageNavigation') : console;
+  const MAIN_SELECTOR = 'main[data-page-swap]';
+  const HEAD_SELECTOR = 'meta[name], meta[property], link[rel="canonical"], link[rel="alternate"], script[type="application/ld+json"]';
+  const SCROLL_SAVE_DELAY = 150;
+  // Extensions of files that are not pages; the same test as isPage() in sw.js
+  const FILE_PATTERN = /\.(css|js|json|png|jpe?g|gif|svg|ico|webp|woff2?|ttf|webmanifest|xml|txt|pdf|zip|map)$/i;
+
+  const cache = new Map();
+  let started = false;
+  let layout = null;
+  let observer = null;
+  let pending = null;
+  let displayed = null;
+  let scrollTimer = null;
+
+  function isEnabled() {
+    return Boolean(document.querySelector(MAIN_SELECTOR)) && typeof window.history.pushState === 'function';
+  }
+
+  function saveData() {
+    return Boolean(navigator.connection && navigator.connection.saveData);
+  }
+
+  function pageKey(url) {
+    return url.pathname + url.search;
+  }
+
+  // URL of a link that can be followed in place, or null
+  function getSwapUrl(link) {
+    if (!link || !link.href || link.hasAttribute('download') || link.hasAttribute('data-no-swap')) return null;
+    if (link.classList.contains('flutter-link')) return null;
+    if (link.target && link.target !== '_self') return null;
+    const url = new URL(link.href, window.location.href);
+    if (url.origin !== window.location.origin) return null;
+    // Pages only (/about, /fa/, /about.html, /changelog/2.0.0.432), not images
+    // or other files
+    if (FILE_PATTERN.test(url.pathname)) return null;
+    // The same page, maybe with another #hash: the browser handles it
+    if (pageKey(url) === pageKey(window.location)) return null;
+    return url;
+  }
+
+  // Top-level partials; a page can only replace another with the same
+  function getLayout(doc) {
+    return JSON.stringify({
+      prerendered: doc.documentElement.getAttribute('data-prerendered'),
+      partials: Array.from(doc.body.children)
+        .filter(el => el.hasAttribute('data-partial'))
+        .map(el => el.getAttribute('data-partial'))
+    });
+  }
+
+  // Add the top-level script files of a fetched page that are not loaded yet,
+  // one after the other in the page's order
+  function loadScripts(doc, base) {
+    const loaded = new Set(Array.from(document.scripts).filter(el => el.src).map(el => el.src));
+    return Array.from(doc.body.children)
+      .filter(el => el.tagName === 'SCRIPT' && el.hasAttribute('src'))
+      .map(el => new URL(el.getAttribute('src'), base).href)
+      .filter(src => !loaded.has(src))
+      .reduce((previous, src) => previous.then(() => new Promise((resolve, reject) => {
+        const script = document.createElement('script');
+        script.src = src;
+        script.onload = resolve;
+        script.onerror = () => reject(new Error(`Could not load ${src}`));
+        document.body.appendChild(script);
+      })), Promise.resolve());
+  }
+
+  function fetchPage(url) {
+    const key = pageKey(url);
+    if (!cache.has(key)) {
+      const request = fetch(url.href, { credentials: 'same-origin', headers: { Accept: 'text/html' } })
+        .then(res => {
+          if (!res.ok) throw new Error(`HTTP ${res.status}`);
+          if (!(res.headers.get('Content-Type') || '').includes('text/html')) throw new Error('Not an HTML page');
+          // res.url differs when nginx redirected, e.g. to the /fa/ variant
+          return res.text().then(html => ({ html, url: res.url || url.href }));
+        });
+      request.catch(() => cache.delete(key));
+      cache.set(key, request);
+    }
+    return cache.get(key);
+  }
+
+  function prefetch(href) {
+    if (!started) return;
+    const url = new URL(href, window.location.href);
+    fetchPage(url).catch(err => log.debug(`Prefetch of ${url.pathname} failed:`, err.message));
+  }
+
+  // Keep the scroll position in the current history entry for back/forward
+  function saveScroll() {
+    const state = Object.assign({}, window.history.state, { pageNavigation: true, scrollY: window.scrollY });
+    window.history.replaceState(state, '');
+  }
+
+  function replaceHead(doc) {
+    document.title = doc.title;
+    document.head.querySelectorAll(HEAD_SELECTOR).forEach(el => el.remove());
+    doc.head.querySelectorAll(HEAD_SELECTOR).forEach(el => {
+      document.head.appendChild(document.importNode(el, true));
+    });
+    document.body.setAttribute('data-lang-page', doc.body.getAttribute('data-lang-page') || '');
+  }
+
+  function restoreScroll(scrollY, hash) {
+    const target = hash && document.getElementById(decodeURIComponent(hash.slice(1)));
+    if (typeof scrollY === 'number') window.scrollTo(0, scrollY);
+    else if (target) target.scrollIntoView();
+    else window.scrollTo(0, 0);
+  }
+
+  // Replace <main> and the head of the current page with a fetched one
+  function show(url, page, doc, main, options) {
+    // A newer navigation took over while the scripts loaded
+    if (pending !== url.href) return null;
+
+    const finalUrl = new URL(page.url);
+    finalUrl.hash = url.hash;
+    if (options.push !== false) {
+      saveScroll();
+      window.history.pushState({ pageNavigation: true, scrollY: 0 }, '', finalUrl.href);
+    }
+    displayed = pageKey(finalUrl);
+
+    replaceHead(doc);
+    const newMain = document.importNode(main, true);
+    document.querySelector(MAIN_SELECTOR).replaceWith(newMain);
+
+    return window.site.update(newMain).then(() => {
+      const languageManager = window.languageManager;
+      if (languageManager) {
+        languageManager.translateMetaTags();
+        languageManager.translateStructuredData();
+        languageManager.updateMetaTags();
+      }
+      restoreScroll(options.scrollY, url.hash);
+      // Screen readers start reading from the new content
+      newMain.setAttribute('tabindex', '-1');
+      newMain.focus({ preventScroll: true });
+      document.dispatchEvent(new CustomEvent('pageChanged', { detail: { url: finalUrl.href } }));
+    });
+  }
+
+  /**
+   * Show another page in place.
+   * Options:
+   *   push    - false when the browser already moved in history (back/forward)
+   *   scrollY - scroll position to restore
+   */
+  function navigate(href, options = {}) {
+    const url = new URL(href, window.location.href);
+    if (!started) {
+      window.location.href = url.href;
+      return Promise.resolve();
+    }
+    pending = url.href;
+    document.documentElement.setAttribute('aria-busy', 'true');
+
+    return fetchPage(url)
+      .then(page => {
+        // A newer navigation took over
+        if (pending !== url.href) return null;
+        const doc = new DOMParser().parseFromString(page.html, 'text/html');
+        const main = doc.querySelector(MAIN_SELECTOR);
+        if (!main) throw new Error('Page is not set up for in-place navigation');
+        if (getLayout(doc) !== layout) throw new Error('Page uses other partials');
+        return loadScripts(doc, page.url).then(() => show(url, page, doc, main, options));
+      })
+      .catch(err => {
+        log.warn(`In-place navigation to ${url.pathname} failed, loading the page:`, err.message);
+        if (options.push === false) window.location.reload();
+        else window.location.href = url.href;
+      })
+      .finally(() => {
+        if (pending === url.href) document.documentElement.removeAttribute('aria-busy');
+      });
+  }
+
+  function onClick(e) {
+    if (e.defaultPrevented || e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) return;
+    const url = getSwapUrl(e.target.closest && e.target.closest('a'));
+    if (!url) return;
+    e.preventDefault();
+    navigate(url.href);
+  }
+
+  function onIntent(e) {
+    const url = getSwapUrl(e.target.closest && e.target.closest('a'));
+    if (url) prefetch(url.href);
+  }
+
+  function onPopState(e) {
+    // Only the #hash changed, or the entry belongs to this page
+    if (pageKey(window.location) === displayed) return;
+    navigate(window.location.href, { push: false, scrollY: e.state && e.state.scrollY });
+  }
+
+  function onScroll() {
+    clearTimeout(scrollTimer);
+    scrollTimer = setTimeout(saveScroll, SCROLL_SAVE_DELAY);
+  }
+
+  // Prefetch pages whose links are visible inside root
+  function observe(root = document) {
+    if (!started || saveData() || typeof IntersectionObserver !== 'function') return;
+    if (!observer) {
+      observer = new IntersectionObserver(entries => {
+        entries.forEach(entry => {
+          if (!entry.isIntersecting) return;
+          observer.unobserve(entry.target);
+          prefetch(entry.target.href);
+        });
+      });
+    }
+    root.querySelectorAll('a[href]').forEach(link => {
+      if (getSwapUrl(link)) observer.observe(link);
+    });
+  }
+
+  // Take over link clicks; does nothing on pages that have not opted in
+  function start() {
+    if (started || !isEnabled()) return;
+    started = true;
+    layout = getLayout(document);
+    displayed = pageKey(window.location);
+    window.history.scrollRestoration = 'manual';
+    saveScroll();
+
+    document.addEventListener('click', onClick);
+    document.addEventListener('mouseover', onIntent);
+    document.addEventListener('focusin', onIntent);
+    document.addEventListener('touchstart', onIntent, { passive: true });
+    window.addEventListener('popstate', onPopState);
+    window.addEventListener('scroll', onScroll, { passive: true });
+    observe(document);
+    log.debug('Started');
+  }
+
+  window.pageNavigation = { start, observe, navigate, prefetch };
+})();
@@ -1,146 +1,155 @@
-// Immediate theme initialization to prevent flash of incorrect theme
+/**
+ * Partial includes
+ * - Any element with data-partial="/partials/x.html" is filled with that file
+ * - Partials may include other partials; nested includes load recursively
+ * - Partial HTML is cached in sessionStorage for the rest of the visit
+ * - A failed load shows the element's <template data-partial-fallback>, or a
+ *   short notice when it has none
+ * - window.partials.start() loads the page's includes (js/bootstrap.js calls it);
+ *   window.partials.ready resolves once every include on the page is loaded;
+ *   window.partials.whenLoaded(url) resolves with the element of one include
+ */
 (function() {
-  const savedTheme = localStorage.getItem('theme');
-  const html = document.documentElement;
-  const prefersDark = window.matchMedia('(prefers-color-scheme: dark)');
-  
-  // Function to apply theme
-  function applyTheme(theme) {
-    if (theme === 'system') {
-      html.removeAttribute('data-theme');
-      if (prefersDark.matches) {
-        html.setAttribute('data-theme', 'dark');
-      } else {
-        html.setAttribute('data-theme', 'light');
-      }
-    } else {
-      html.setAttribute('data-theme', theme);
+  const log = window.logger ? window.logger.create('Partials') : console;
+  const CACHE_PREFIX = 'partial:';
+  const MAX_DEPTH = 5;
+  const waiting = {};
+  const loaded = {};
+  let settled = false;
+
+  function readCache(url) {
+    try {
+      return sessionStorage.getItem(CACHE_PREFIX + url);
+    } catch (e) {
+      return null;
     }
   }
-  
-  // Apply initial theme
-  if (savedTheme) {
-    applyTheme(savedTheme);
-  } else {
-    applyTheme('system');
-  }
-  
-  // Listen for system theme changes (only if no explicit theme is stored)
-  prefersDark.addEventListener('change', (e) => {
-    if (!localStorage.getItem('theme')) {
-      applyTheme('system');
+
+  function writeCache(url, html) {
+    try {
+      sessionStorage.setItem(CACHE_PREFIX + url, html);
+    } catch (e) {
+      // Storage full or disabled: the partial is simply fetched again next time
     }
-  });
-})();
+  }
 
-function loadPartial(id, url, callback) {
-  fetch(url)
-    .then(res => res.text())
-    .then(html => {
-      document.getElementById(id).innerHTML = html;
-      if (callback) callback();
-    })
-    .catch(err => console.warn('Failed to load partial', url, err));
-}
+  function fetchPartial(url) {
+    const cached = readCache(url);
+    if (cached !== null) return Promise.resolve(cached);
+    return fetch(url).then(res => {
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      return res.text();
+    }).then(html => {
+      writeCache(url, html);
+      return html;
+    });
+  }
 
-function loadScript(src, onload) {
-  var s = document.createElement('script');
-  s.src = src;
-  s.onload = onload;
-  document.body.appendChild(s);
-}
+  function showFallback(element, fallback) {
+    if (fallback) {
+      element.innerHTML = fallback;
+      return;
+    }
+    const notice = document.createElement('div');
+    notice.className = 'partial-fallback';
+    notice.setAttribute('role', 'status');
+    notice.setAttribute('data-lang', 'partials.unavailable');
+    notice.textContent = 'This section could not be loaded. Please refresh the page.';
+    element.replaceChildren(notice);
+  }
 
-// Track when both navbar and drawer are loaded
-let navLoaded = false, drawerLoaded = false;
-function tryInitMobileNav() {
-  if (navLoaded && drawerLoaded) {
-    loadScript('/js/mobile-nav.js', function() {
-      if (window.initMobileNav) window.initMobileNav();
-    });
+  function markLoaded(url, element) {
+    loaded[url] = element;
+    if (waiting[url]) {
+      waiting[url].resolve(element);
+      delete waiting[url];
+    }
+    element.dispatchEvent(new CustomEvent('partialLoaded', { bubbles: true, detail: { url, element } }));
   }
-}
 
-// Function to trigger language translation for loaded partials
-function translateLoadedPartials() {
-  if (window.languageManager) {
-    window.languageManager.translatePage();
-  } else {
-    // If language manager is not ready yet, wait a bit and try again
-    setTimeout(() => {
-      if (window.languageManager) {
-        window.languageManager.translatePage();
-      }
-    }, 100);
+  // Load one include, then everything it includes; never rejects
+  function load(element, ancestors = []) {
+    const url = element.getAttribute('data-partial');
+
+    // Pre-rendered pages (scripts/build.js) already contain the partial
+    if (element.hasAttribute('data-partial-inlined')) {
+      element.setAttribute('data-partial-state', 'loaded');
+      markLoaded(url, element);
+      return include(element, ancestors.concat(url));
+    }
+
+    if (ancestors.includes(url) || ancestors.length >= MAX_DEPTH) {
+      log.warn('Partial include cycle or nesting too deep', ancestors.concat(url).join(' -> '));
+      element.setAttribute('data-partial-state', 'failed');
+      return Promise.resolve();
+    }
+
+    const template = element.querySelector('template[data-partial-fallback]');
+    const fallback = template ? template.innerHTML : null;
+    element.setAttribute('data-partial-state', 'loading');
+
+    return fetchPartial(url)
+      .then(html => {
+        element.innerHTML = html;
+        element.setAttribute('data-partial-state', 'loaded');
+        markLoaded(url, element);
+        return include(element, ancestors.concat(url));
+      })
+      .catch(err => {
+        log.warn('Failed to load partial', url, err);
+        element.setAttribute('data-partial-state', 'failed');
+        showFallback(element, fallback);
+      });
   }
-}
 
-// Load navbar, drawer, and footer
-loadPartial('navbar', '/partials/navbar.html', function() {
-  navLoaded = true;
-  tryInitMobileNav();
-  // Translate the loaded navbar content
-  translateLoadedPartials();
-  // After navbar is loaded, load theme-toggle.js if needed
-  loadScript('/js/theme-toggle.js', function() {
-    if (window.initThemeToggle) window.initThemeToggle();
-  });
-});
-// Check if drawer element exists before loading
-const drawerElement = document.getElementById('drawer');
-if (drawerElement) {
-  loadPartial('drawer', '/partials/drawer.html', function() {
-    drawerLoaded = true;
-    tryInitMobileNav();
-    // Translate the loaded drawer content
-    translateLoadedPartials();
-  });
-} else {
-  // No drawer element, mark as loaded to unblock mobile nav
-  drawerLoaded = true;
-  tryInitMobileNav();
-}
-loadPartial('footer', '/partials/footer.html', function() {
-  // Set current year in footer
-  const yearElement = document.getElementById('year');
-  if (yearElement) {
-    yearElement.textContent = new Date().getFullYear();
+  // Load every include inside root that has not been loaded yet, or root
+  // itself when it is one
+  function include(root = document, ancestors = []) {
+    if (root !== document && root.matches('[data-partial]:not([data-partial-state])')) {
+      return load(root, ancestors);
+    }
+    const owner = root === document ? null : root.closest('[data-partial]');
+    const elements = Array.from(root.querySelectorAll('[data-partial]:not([data-partial-state])'))
+      // Nested includes are loaded by the include that contains them
+      .filter(element => element.parentElement.closest('[data-partial]') === owner);
+    return Promise.all(elements.map(element => load(element, ancestors))).then(() => undefined);
   }
-  
-  // Theme selector logic
-  const themeSelect = document.getElementById('footerThemeSelect');
-  if (themeSelect) {
-    const savedTheme = localStorage.getItem('theme');
-    themeSelect.value = savedTheme || 'system';
-    
-    themeSelect.addEventListener('change', (e) => {
-      const val = e.target.value;
-      if (val === 'system') {
-        localStorage.removeItem('theme');
-        const prefersDark = window.matchMedia('(prefers-color-scheme: dark)');
-        if (prefersDark.matches) {
-          document.documentElement.setAttribute('data-theme', 'dark');
-        } else {
-          document.documentElement.setAttribute('data-theme', 'light');
-        }
-      } else {
-        localStorage.setItem('theme', val);
-        document.documentElement.setAttribute('data-theme', val);
-      }
-    });
+
+  // Resolves with the element of an include once it has loaded, or null if the
+  // page finished loading without it
+  function whenLoaded(url) {
+    if (loaded[url]) return Promise.resolve(loaded[url]);
+    if (settled) return Promise.resolve(null);
+    if (!waiting[url]) {
+      let resolve;
+      const promise = new Promise(r => { resolve = r; });
+      waiting[url] = { promise, resolve };
+    }
+    return waiting[url].promise;
   }
 
-  // Language selector logic
-  const languageSelect = document.getElementById('footerLanguageSelect');
-  if (languageSelect && window.languageManager) {
-    languageSelect.value = window.languageManager.currentLanguage;
-    languageSelect.addEventListener('change', (e) => {
-      window.languageManager.setLanguage(e.target.value);
-    });
+  let ready = null;
+
+  // Load every include on the page; started once by js/bootstrap.js, later
+  // calls return the same promise
+  function start() {
+    if (!ready) {
+      ready = include(document).then(() => {
+        settled = true;
+        Object.keys(waiting).forEach(url => waiting[url].resolve(null));
+        return loaded;
+      });
+    }
+    return ready;
   }
-  
-  // Translate the loaded footer content
-  translateLoadedPartials();
-  
-  // Dispatch event when all partials are loaded
-  document.dispatchEvent(new CustomEvent('partialsLoaded'));
-});
+
+  window.partials = {
+    start,
+    include,
+    load,
+    whenLoaded,
+    get ready() {
+      return start();
+    }
+  };
+})();
@@ -0,0 +1,121 @@
+/**
+ * Visitor preferences shared across subdomains
+ * - Language, theme and currency live in cookies scoped to the root domain that
+ *   EnvironmentRedirect.getRootDomain() returns, so the site, app.<root> and
+ *   the dev./qa. hosts all see the same choice
+ * - Cookies: "lang" (en, fa; nginx reads it too), "theme" (light, dark;
+ *   no cookie means system) and "currency" (USD, IRT, IRR; no cookie means
+ *   the language's currency)
+ * - Values stored by older versions in localStorage ("language", "theme") are
+ *   moved into the cookies
+ * - A change made in another tab (another subdomain too, once the tab is shown
+ *   again) dispatches preferencesChanged with { name, value }
+ *
+ * Loaded in <head>, before theme-manager.js.
+ */
+(function() {
+  const COOKIE_NAMES = { language: 'lang', theme: 'theme', currency: 'currency' };
+  const LEGACY_KEYS = { language: 'language', theme: 'theme' };
+  const MAX_AGE = 365 * 24 * 60 * 60;
+  const channel = typeof BroadcastChannel === 'function' ? new BroadcastChannel('preferences') : null;
+
+  // Last values this page saw, to spot changes made elsewhere
+  const snapshot = {};
+
+  function readCookie(name) {
+    const prefix = `${name}=`;
+    const entry = document.cookie.split('; ').find(part => part.startsWith(prefix));
+    return entry ? decodeURIComponent(entry.slice(prefix.length)) : null;
+  }
+
+  // Root domain for the Domain attribute; null keeps the cookie on this host
+  // (localhost, IP addresses, or before EnvironmentRedirect has loaded)
+  function getDomain() {
+    const redirect = window.environmentRedirect;
+    const host = window.location.hostname;
+    const root = redirect ? redirect.getRootDomain() : null;
+    if (!root || !root.includes('.') || /^\d+\.\d+\.\d+\.\d+$/.test(root)) return null;
+    return host === root || host.endsWith(`.${root}`) ? root : null;
+  }
+
+  function writeCookie(name, value) {
+    const domain = getDomain();
+    const attributes = [`path=/`, `SameSite=Lax`];
+    if (window.location.protocol === 'https:') attributes.push('Secure');
+    if (domain) {
+      // Drop the host-only cookie older versions wrote, so only one is sent
+      document.cookie = `${name}=; path=/; max-age=0`;
+      attributes.push(`domain=${domain}`);
+    }
+    attributes.push(value === null ? 'max-age=0' : `max-age=${MAX_AGE}`);
+    document.cookie = `${name}=${value === null ? '' : encodeURIComponent(value)}; ${attributes.join('; ')}`;
+  }
+
+  function readLegacy(name) {
+    if (!LEGACY_KEYS[name]) return null;
+    try {
+      return localStorage.getItem(LEGACY_KEYS[name]);
+    } catch (e) {
+      return null;
+    }
+  }
+
+  function removeLegacy(name) {
+    if (!LEGACY_KEYS[name]) return;
+    try {
+      localStorage.removeItem(LEGACY_KEYS[name]);
+    } catch (e) {}
+  }
+
+  // Stored value, or null; a localStorage value is moved to the cookie once
+  // the root domain is known
+  function get(name) {
+    const value = readCookie(COOKIE_NAMES[name]);
+    if (value !== null) return value;
+    const legacy = readLegacy(name);
+    if (legacy !== null && window.environmentRedirect) set(name, legacy);
+    return legacy;
+  }
+
+  // Store a value; null removes it
+  function set(name, value) {
+    if (!COOKIE_NAMES[name]) throw new Error(`Unknown preference ${name}`);
+    writeCookie(COOKIE_NAMES[name], value);
+    removeLegacy(name);
+    snapshot[name] = value;
+    if (channel) channel.postMessage({ name, value });
+  }
+
+  function remove(name) {
+    set(name, null);
+  }
+
+  // Move every localStorage value that has no cookie yet
+  function migrate() {
+    Object.keys(COOKIE_NAMES).forEach(get);
+  }
+
+  function notify(name, value) {
+    snapshot[name] = value;
+    document.dispatchEvent(new CustomEvent('preferencesChanged', { detail: { name, value } }));
+  }
+
+  Object.keys(COOKIE_NAMES).forEach(name => {
+    snapshot[name] = get(name);
+  });
+
+  if (channel) {
+    channel.addEventListener('message', (e) => notify(e.data.name, e.data.value));
+  }
+
+  // Tabs on other subdomains cannot message this one; re-read when it is shown
+  document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState !== 'visible') return;
+    Object.keys(COOKIE_NAMES).forEach(name => {
+      const value = get(name);
+      if (value !== snapshot[name]) notify(name, value);
+    });
+  });
+
+  window.preferences = { get, set, remove, migrate };
+})();
@@ -0,0 +1,238 @@
+/**
+ * Pricing
+ * - Renders the plans of config/plans.json into [data-pricing="plans"] and
+ *   [data-pricing="comparison"]; scripts/build.js pre-renders the same markup
+ *   with PricingTable, the browser re-renders it for the visitor's currency
+ * - [data-billing-period] buttons switch between monthly and annual prices
+ *   (?period=monthly|annual picks one on load)
+ * - Prices are in the shared "currency" preference, which the
+ *   [data-currency-select] selects set (js/bootstrap.js binds them, in the
+ *   footer too); without one the language's currency is used (USD for en,
+ *   Toman for fa)
+ * - Plan buttons are flutter-links to the app's signup route with the plan
+ *   and billing period, e.g. /signup?plan=pro&period=annual
+ */
+class PricingTable {
+  // data: the parsed config/plans.json; manager: a LanguageManager
+  constructor(data, manager) {
+    this.data = data;
+    this.manager = manager;
+  }
+
+  static escape(value) {
+    const entities = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+    return String(value).replace(/[&<>"']/g, char => entities[char]);
+  }
+
+  // Every message key the table uses, for scripts/i18n-coverage.js
+  static keys(data) {
+    const keys = [
+      'pricing.plan.featured', 'pricing.price.free', 'pricing.price.per-month', 'pricing.price.billed-annually',
+      'pricing.price.billed-monthly', 'pricing.price.free-forever', 'pricing.period.savings',
+      'pricing.compare.caption', 'pricing.compare.feature', 'pricing.value.yes', 'pricing.value.no'
+    ];
+    data.plans.forEach(plan => keys.push(`pricing.plan.${plan.id}.name`, `pricing.plan.${plan.id}.description`, `pricing.plan.${plan.id}.cta`));
+    data.features.forEach(feature => {
+      keys.push(`pricing.feature.${feature.id}`);
+      Object.values(feature.values).forEach(value => {
+        if (typeof value === 'string') keys.push(`pricing.value.${value}`);
+      });
+    });
+    return Array.from(new Set(keys));
+  }
+
+  t(key, args) {
+    return PricingTable.escape(this.manager.getTranslation(key, args));
+  }
+
+  // Price of a plan for a period in a currency; derived currencies ("from")
+  // convert another one's prices. null when the plan has no such price.
+  price(plan, currency, period) {
+    const definition = this.data.currencies[currency];
+    if (!definition) return null;
+    if (definition.from) {
+      const base = this.price(plan, definition.from, period);
+      return base === null ? null : base * definition.factor;
+    }
+    const prices = plan.prices[currency];
+    return prices && typeof prices[period] === 'number' ? prices[period] : null;
+  }
+
+  // Whether every plan has prices in a currency
+  supports(currency) {
+    return this.data.plans.every(plan => this.price(plan, currency, 'monthly') !== null && this.price(plan, currency, 'annual') !== null);
+  }
+
+  // First supported currency of the candidates, else the first configured one
+  resolveCurrency(...candidates) {
+    return candidates.find(code => code && this.supports(code)) || Object.keys(this.data.currencies)[0];
+  }
+
+  // Largest annual saving over twelve monthly payments, in whole percent
+  savings(currency) {
+    return this.data.plans.reduce((best, plan) => {
+      const monthly = this.price(plan, currency, 'monthly');
+      const annual = this.price(plan, currency, 'annual');
+      if (!monthly) return best;
+      return Math.max(best, Math.round((1 - annual / (monthly * 12)) * 100));
+    }, 0);
+  }
+
+  signupPath(plan, period) {
+    return `${this.data.signupPath}?plan=${encodeURIComponent(plan.id)}&period=${encodeURIComponent(period)}`;
+  }
+
+  // Table cell for a feature value: included, not included, a number or a message
+  formatValue(value) {
+    if (value === true) return `<i class="fas fa-check" aria-hidden="true"></i><span class="sr-only">${this.t('pricing.value.yes')}</span>`;
+    if (value === false) return `<span aria-hidden="true">–</span><span class="sr-only">${this.t('pricing.value.no')}</span>`;
+    if (typeof value === 'number') return PricingTable.escape(this.manager.formatNumber(value));
+    return this.t(`pricing.value.${value}`);
+  }
+
+  renderPrice(plan, currency, period) {
+    const amount = this.price(plan, currency, period);
+    if (amount === 0) {
+      return `<p class="pricing-price"><span class="pricing-amount">${this.t('pricing.price.free')}</span></p>` +
+        `<p class="pricing-billing">${this.t('pricing.price.free-forever')}</p>`;
+    }
+    const perMonth = period === 'annual' ? amount / 12 : amount;
+    const billing = period === 'annual'
+      ? this.t('pricing.price.billed-annually', { amount: this.manager.formatCurrency(amount, currency) })
+      : this.t('pricing.price.billed-monthly');
+    return `<p class="pricing-price"><span class="pricing-amount">${PricingTable.escape(this.manager.formatCurrency(perMonth, currency))}</span> ` +
+      `<span class="pricing-unit">${this.t('pricing.price.per-month')}</span></p>` +
+      `<p class="pricing-billing">${billing}</p>`;
+  }
+
+  renderPlans({ currency, period }) {
+    const highlights = this.data.features.filter(feature => feature.highlight);
+    return this.data.plans.map(plan => {
+      const items = highlights
+        .filter(feature => feature.values[plan.id] !== false)
+        .map(feature => `<li><i class="fas fa-check" aria-hidden="true"></i> <span>${this.t(`pricing.feature.${feature.id}`)}</span> ` +
+          `<strong>${this.formatValue(feature.values[plan.id])}</strong></li>`)
+        .join('');
+      return `<article class="pricing-card${plan.featured ? ' featured' : ''}" data-plan="${PricingTable.escape(plan.id)}">` +
+        (plan.featured ? `<span class="pricing-badge">${this.t('pricing.plan.featured')}</span>` : '') +
+        `<h3>${this.t(`pricing.plan.${plan.id}.name`)}</h3>` +
+        `<p class="pricing-description">${this.t(`pricing.plan.${plan.id}.description`)}</p>` +
+        this.renderPrice(plan, currency, period) +
+        `<a href="#" class="cta-button ${plan.featured ? 'primary' : 'outline'} flutter-link" ` +
+        `data-flutter-path="${PricingTable.escape(this.signupPath(plan, period))}">${this.t(`pricing.plan.${plan.id}.cta`)}</a>` +
+        `<ul class="pricing-highlights">${items}</ul>` +
+        '</article>';
+    }).join('');
+  }
+
+  renderComparison() {
+    const head = this.data.plans.map(plan => `<th scope="col">${this.t(`pricing.plan.${plan.id}.name`)}</th>`).join('');
+    const rows = this.data.features.map(feature => {
+      const cells = this.data.plans.map(plan => `<td>${this.formatValue(feature.values[plan.id])}</td>`).join('');
+      return `<tr><th scope="row">${this.t(`pricing.feature.${feature.id}`)}</th>${cells}</tr>`;
+    }).join('');
+    return `<table class="pricing-compare"><caption class="sr-only">${this.t('pricing.compare.caption')}</caption>` +
+      `<thead><tr><th scope="col">${this.t('pricing.compare.feature')}</th>${head}</tr></thead>` +
+      `<tbody>${rows}</tbody></table>`;
+  }
+}
+
+// Expose the class to Node build scripts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = PricingTable;
+}
+
+if (typeof window !== 'undefined') {
+  (function() {
+    const log = window.logger ? window.logger.create('Pricing') : console;
+    const PLANS_URL = '/config/plans.json';
+    const PERIODS = ['monthly', 'annual'];
+
+    let plans = null;
+    let period = new URLSearchParams(window.location.search).get('period');
+
+    // config/plans.json, fetched once; a failed fetch is retried next time
+    function loadPlans() {
+      if (!plans) {
+        plans = fetch(PLANS_URL)
+          .then(res => {
+            if (!res.ok) throw new Error(`HTTP ${res.status}`);
+            return res.json();
+          })
+          .catch(err => {
+            plans = null;
+            throw err;
+          });
+      }
+      return plans;
+    }
+
+    // Currency of the current language, e.g. 'IRT' for fa
+    function getLanguageCurrency() {
+      const manager = window.languageManager;
+      return manager ? manager.getLocale(manager.currentLanguage).currency : 'USD';
+    }
+
+    function getCurrency() {
+      const stored = window.preferences ? window.preferences.get('currency') : null;
+      return stored || getLanguageCurrency();
+    }
+
+    function setPeriod(value) {
+      if (!PERIODS.includes(value) || value === period) return;
+      period = value;
+      render(document);
+    }
+
+    // Fill the pricing containers and controls inside root
+    function render(root = document) {
+      const containers = root.querySelectorAll('[data-pricing]');
+      const selects = root.querySelectorAll('[data-currency-select]');
+      if (containers.length === 0) {
+        selects.forEach(select => { select.value = getCurrency(); });
+        return Promise.resolve();
+      }
+      return loadPlans()
+        .then(data => {
+          const table = new PricingTable(data, window.languageManager);
+          const currency = table.resolveCurrency(getCurrency(), getLanguageCurrency());
+          if (!PERIODS.includes(period)) period = data.defaultPeriod;
+          containers.forEach(container => {
+            container.innerHTML = container.getAttribute('data-pricing') === 'comparison'
+              ? table.renderComparison()
+              : table.renderPlans({ currency, period });
+          });
+          root.querySelectorAll('[data-pricing-savings]').forEach(element => {
+            element.textContent = window.languageManager.getTranslation('pricing.period.savings', { percent: table.savings(currency) });
+          });
+          root.querySelectorAll('[data-billing-period]').forEach(button => {
+            button.setAttribute('aria-pressed', String(button.getAttribute('data-billing-period') === period));
+          });
+          selects.forEach(select => { select.value = currency; });
+          if (window.environmentRedirect) window.environmentRedirect.setupFlutterLinks(root);
+        })
+        .catch(err => {
+          log.error('Loading the plans failed:', err);
+        });
+    }
+
+    // Wire up the period buttons inside root, then render
+    window.initPricing = function(root = document) {
+      root.querySelectorAll('[data-billing-period]:not([data-pricing-ready])').forEach(button => {
+        button.setAttribute('data-pricing-ready', 'true');
+        button.addEventListener('click', () => setPeriod(button.getAttribute('data-billing-period')));
+      });
+      return render(root);
+    };
+
+    // Prices follow the language (and its currency, unless one was picked)
+    // and currency changes made here or in other tabs
+    document.addEventListener('languageChanged', () => render(document));
+    document.addEventListener('currencyChanged', () => render(document));
+    document.addEventListener('preferencesChanged', (e) => {
+      if (e.detail.name === 'currency') render(document);
+    });
+
+    window.pricing = { getCurrency, setPeriod, render };
+  })();
+}
@@ -0,0 +1,205 @@
+/**
+ * Site search and route suggestions (404 page)
+ * - Both read /site-index.json, written by scripts/build.js: the pages,
+ *   posts and releases of every locale with their title and description
+ * - [data-route-suggestion] is shown with a link to the known route closest
+ *   to the requested URL (/pricng -> /pricing), if any is close enough
+ * - [data-site-search] forms filter the index of the current language as the
+ *   visitor types; Enter opens the first result
+ * - Both stay hidden when the index cannot be loaded (e.g. unbuilt sources)
+ * - js/bootstrap.js wires it up through window.initSiteSearch(root)
+ */
+(function() {
+  const log = window.logger ? window.logger.create('SiteSearch') : console;
+  const INDEX_URL = '/site-index.json';
+  const MAX_RESULTS = 8;
+
+  let index = null;
+
+  // The site index, fetched once; a failed fetch is retried next time
+  function loadIndex() {
+    if (!index) {
+      index = fetch(INDEX_URL)
+        .then(res => {
+          if (!res.ok) throw new Error(`HTTP ${res.status}`);
+          return res.json();
+        })
+        .catch(err => {
+          index = null;
+          throw err;
+        });
+    }
+    return index;
+  }
+
+  function translate(key, args) {
+    return window.languageManager ? window.languageManager.getTranslation(key, args) : key;
+  }
+
+  // Entries of the current language, else of the default one
+  function entriesFor(data) {
+    const manager = window.languageManager;
+    const lang = manager ? manager.currentLanguage : 'en';
+    return data[lang] || data[manager ? manager.defaultLanguage : 'en'] || [];
+  }
+
+  // Lowercase, decoded path without a trailing slash or .html
+  function normalizePath(pathname) {
+    let path;
+    try {
+      path = decodeURIComponent(pathname);
+    } catch (e) {
+      path = pathname;
+    }
+    path = path.toLowerCase().replace(/\.html$/, '').replace(/\/+$/, '');
+    return path || '/';
+  }
+
+  // Edit distance between two strings
+  function distance(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+      const current = [i];
+      for (let j = 1; j <= b.length; j++) {
+        const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+        current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      }
+      previous = current;
+    }
+    return previous[b.length];
+  }
+
+  // Closest entry to a path: a small typo first, else the longest known
+  // route the path starts with (/blog/missing-post -> /blog)
+  function closestEntry(entries, pathname) {
+    const path = normalizePath(pathname);
+    let best = null;
+    let bestDistance = Infinity;
+    entries.forEach(entry => {
+      const route = normalizePath(entry.route);
+      const d = distance(path, route);
+      if (d < bestDistance && d <= Math.max(2, Math.floor(route.length / 3))) {
+        best = entry;
+        bestDistance = d;
+      }
+    });
+    if (best) return best;
+
+    return entries
+      .filter(entry => {
+        const route = normalizePath(entry.route);
+        return route !== '/' && path.startsWith(`${route}/`);
+      })
+      .sort((a, b) => b.route.length - a.route.length)[0] || null;
+  }
+
+  // Entries containing every word of the query, title matches first
+  function search(entries, query) {
+    const words = query.toLocaleLowerCase().split(/\s+/).filter(Boolean);
+    if (!words.length) return [];
+    return entries
+      .map(entry => {
+        const title = entry.title.toLocaleLowerCase();
+        const text = `${title} ${(entry.description || '').toLocaleLowerCase()}`;
+        if (!words.every(word => text.includes(word))) return null;
+        return { entry, score: words.filter(word => title.includes(word)).length };
+      })
+      .filter(Boolean)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, MAX_RESULTS)
+      .map(match => match.entry);
+  }
+
+  function renderSuggestion(element, entries) {
+    const entry = closestEntry(entries, window.location.pathname);
+    const link = element.querySelector('[data-route-suggestion-link]');
+    if (!entry || !link || normalizePath(entry.route) === normalizePath(window.location.pathname)) {
+      element.hidden = true;
+      return;
+    }
+    link.setAttribute('href', entry.route);
+    link.textContent = entry.title;
+    element.hidden = false;
+  }
+
+  function renderResults(form, entries) {
+    const input = form.querySelector('input[type="search"]');
+    const list = form.querySelector('[data-site-search-results]');
+    const status = form.querySelector('[data-site-search-status]');
+    const query = input ? input.value.trim() : '';
+    const results = search(entries, query);
+
+    if (list) {
+      list.innerHTML = '';
+      results.forEach(entry => {
+        const item = document.createElement('li');
+        const link = document.createElement('a');
+        link.href = entry.route;
+        link.textContent = entry.title;
+        item.appendChild(link);
+        if (entry.description) {
+          const description = document.createElement('p');
+          description.textContent = entry.description;
+          item.appendChild(description);
+        }
+        list.appendChild(item);
+      });
+    }
+    if (status) {
+      if (!query) status.textContent = '';
+      else if (results.length) status.textContent = translate('not-found.search.count', { count: results.length });
+      else status.textContent = translate('not-found.search.empty', { query });
+    }
+    return results;
+  }
+
+  function bindForm(form) {
+    const input = form.querySelector('input[type="search"]');
+    if (input) {
+      input.addEventListener('input', () => {
+        loadIndex().then(data => renderResults(form, entriesFor(data))).catch(() => {});
+      });
+    }
+    form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      loadIndex()
+        .then(data => {
+          const first = renderResults(form, entriesFor(data))[0];
+          if (first) window.location.href = first.route;
+        })
+        .catch(() => {});
+    });
+  }
+
+  // Show and fill the suggestions and search forms inside root
+  function render(root = document) {
+    const suggestions = root.querySelectorAll('[data-route-suggestion]');
+    const forms = root.querySelectorAll('[data-site-search]');
+    if (suggestions.length === 0 && forms.length === 0) return Promise.resolve();
+    return loadIndex()
+      .then(data => {
+        const entries = entriesFor(data);
+        suggestions.forEach(element => renderSuggestion(element, entries));
+        forms.forEach(form => {
+          renderResults(form, entries);
+          form.hidden = false;
+        });
+      })
+      .catch(err => {
+        log.warn('Site index unavailable:', err);
+      });
+  }
+
+  window.initSiteSearch = function(root = document) {
+    root.querySelectorAll('[data-site-search]:not([data-site-search-ready])').forEach(form => {
+      form.setAttribute('data-site-search-ready', 'true');
+      bindForm(form);
+    });
+    return render(root);
+  };
+
+  // Titles and messages follow the language
+  document.addEventListener('languageChanged', () => render(document));
+
+  window.siteSearch = { closestEntry, search, render };
+})();
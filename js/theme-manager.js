@@ -0,0 +1,107 @@
+/**
+ * Theme Manager
+ * - Owns the light / dark / system preference (the shared "theme" preference
+ *   of js/preferences.js; none means system) and sets data-theme on <html>
+ * - Loaded in <head> so the stored theme applies before the first paint
+ * - [data-theme-toggle] buttons in the navbar and drawer cycle
+ *   light -> dark -> system; js/bootstrap.js binds them once they are loaded
+ * - Follows the OS setting while on system, and changes made in other tabs
+ * - Dispatches themeChanged with { theme, preference } on every change
+ */
+class ThemeManager {
+  constructor() {
+    this.preferences = ['light', 'dark', 'system'];
+    this.icons = { light: 'fa-sun', dark: 'fa-moon', system: 'fa-circle-half-stroke' };
+    this.prefersDark = window.matchMedia('(prefers-color-scheme: dark)');
+    this.preference = this.getStoredPreference();
+    this.apply();
+
+    // The OS switched between light and dark
+    this.prefersDark.addEventListener('change', () => {
+      if (this.preference === 'system') this.apply(true);
+    });
+
+    // Another tab changed the preference
+    document.addEventListener('preferencesChanged', (e) => {
+      if (e.detail.name !== 'theme') return;
+      this.preference = this.getStoredPreference();
+      this.apply(true);
+    });
+
+    // Control labels are localized
+    document.addEventListener('languageChanged', () => this.updateControls());
+  }
+
+  getStoredPreference() {
+    const stored = window.preferences ? window.preferences.get('theme') : null;
+    return this.preferences.includes(stored) ? stored : 'system';
+  }
+
+  setStoredPreference(preference) {
+    if (!window.preferences) return;
+    if (preference === 'system') window.preferences.remove('theme');
+    else window.preferences.set('theme', preference);
+  }
+
+  // Theme in effect: 'light' or 'dark'
+  getTheme() {
+    if (this.preference !== 'system') return this.preference;
+    return this.prefersDark.matches ? 'dark' : 'light';
+  }
+
+  // Store and apply 'light', 'dark' or 'system'
+  setPreference(preference) {
+    if (!this.preferences.includes(preference) || preference === this.preference) return;
+    this.preference = preference;
+    this.setStoredPreference(preference);
+    this.apply(true);
+  }
+
+  // Next preference in the light -> dark -> system cycle
+  toggle() {
+    const index = this.preferences.indexOf(this.preference);
+    this.setPreference(this.preferences[(index + 1) % this.preferences.length]);
+  }
+
+  apply(notify = false) {
+    document.documentElement.setAttribute('data-theme', this.getTheme());
+    this.updateControls();
+    if (notify) {
+      document.dispatchEvent(new CustomEvent('themeChanged', {
+        detail: { theme: this.getTheme(), preference: this.preference }
+      }));
+    }
+  }
+
+  // Wire up the toggle buttons inside root
+  bindControls(root = document) {
+    root.querySelectorAll('[data-theme-toggle]').forEach(button => {
+      if (button.hasAttribute('data-theme-toggle-ready')) return;
+      button.setAttribute('data-theme-toggle-ready', 'true');
+      button.addEventListener('click', () => this.toggle());
+    });
+    this.updateControls();
+  }
+
+  // Localized text, or undefined before the language manager is up
+  translate(key, args) {
+    return window.languageManager ? window.languageManager.findTranslation(key, args) : undefined;
+  }
+
+  // Show the current preference on every toggle button
+  updateControls() {
+    if (!document.body) return;
+    const name = this.translate(`theme.${this.preference}`) || this.preference;
+    const label = this.translate('theme.toggle', { theme: name }) || `Theme: ${name}`;
+    document.querySelectorAll('[data-theme-toggle]').forEach(button => {
+      button.setAttribute('aria-label', label);
+      button.setAttribute('title', label);
+      const icon = button.querySelector('i');
+      if (icon) icon.className = `fas ${this.icons[this.preference]}`;
+      const text = button.querySelector('.theme-toggle-label');
+      if (text) text.textContent = name;
+    });
+  }
+}
+
+window.themeManager = new ThemeManager();
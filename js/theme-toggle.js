@@ -1,11 +0,0 @@
-/**
- * Theme Toggle - Placeholder
- * Theme switching is handled by footer.html
- */
-
-window.initThemeToggle = function() {
-  // Theme toggle is handled by footer language/theme selectors
-  console.log('[ThemeToggle] Initialized (handled by footer)');
-};
-
-
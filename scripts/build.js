@@ -0,0 +1,260 @@
+#!/usr/bin/env node
+/**
+ * Static site build
+ * - Copies the site's assets into the output directory (dist/ by default)
+ * - Pre-renders every page once per locale: partials inlined, data-lang
+ *   translations applied, <html lang/dir> set
+ * - English stays at the root (/about), other locales get a prefix (/fa/about)
+ * - Every variant links to all others with <link rel="alternate" hreflang>
+ * - Pages with [data-pricing] get the plans of config/plans.json, priced in
+ *   the locale's currency
+ * - Generates the blog and changelog pages and their RSS/Atom feeds from
+ *   content/ (see scripts/lib/content.js); the footer's version label links
+ *   to the newest release
+ * - From the page manifest (config/pages.json, see scripts/lib/pages.js):
+ *   JSON-LD per page, sitemap.xml, robots/<environment>.txt and, with
+ *   --nginx-routes, the nginx locations of the clean URLs
+ * - Renders the error pages (404.html, 50x.html) and the offline page per
+ *   locale and writes site-index.json, the pages, posts and releases
+ *   js/site-search.js offers
+ * - Writes a web app manifest per locale and sw.js, the service worker with
+ *   this build's cache version and precache list (see scripts/lib/pwa.js)
+ * - Writes the native app association files under .well-known/<environment>/
+ *   and, with --nginx-map, the nginx map that serves them per host
+ *
+ * Usage:
+ *   node scripts/build.js [--out=dist] [--base-url=https://{{DOMAIN}}] [--nginx-map=<file>] [--nginx-routes=<file>]
+ *
+ * The default base URL keeps the {{DOMAIN}} placeholder that the Dockerfile
+ * substitutes per environment.
+ */
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const html = require('./lib/html');
+const prerender = require('./lib/prerender');
+const appLinks = require('./lib/app-links');
+const content = require('./lib/content');
+const pageManifest = require('./lib/pages');
+const pwa = require('./lib/pwa');
+const { ROOT, DEFAULT_LANGUAGE, loadBundles } = require('./lib/i18n');
+const LanguageManager = require('../js/language-manager.js');
+const PricingTable = require('../js/pricing.js');
+
+// Directories served as-is
+const STATIC_ENTRIES = ['config', 'css', 'js', 'images', 'i18n', 'partials'];
+
+// Pages copied without pre-rendering
+const PASSTHROUGH_PAGES = ['dev.html', 'open.html'];
+
+// Pages served in place of others (nginx's error pages, the service worker's
+// offline page): rendered per locale, but not listed in the manifest, the
+// sitemap or any hreflang alternates
+const FALLBACK_PAGES = ['404.html', '50x.html', 'offline.html'];
+
+// Routes crawlers skip on indexable hosts (developer info, deep link fallback)
+const ROBOTS_DISALLOW = ['/dev', '/open/'];
+
+function parseArgs(argv) {
+  const options = { out: path.join(ROOT, 'dist'), baseUrl: 'https://{{DOMAIN}}' };
+  argv.forEach(arg => {
+    if (arg.startsWith('--out=')) options.out = path.resolve(arg.slice('--out='.length));
+    else if (arg.startsWith('--base-url=')) options.baseUrl = arg.slice('--base-url='.length).replace(/\/$/, '');
+    else if (arg.startsWith('--nginx-map=')) options.nginxMap = path.resolve(arg.slice('--nginx-map='.length));
+    else if (arg.startsWith('--nginx-routes=')) options.nginxRoutes = path.resolve(arg.slice('--nginx-routes='.length));
+    else throw new Error(`Unknown option: ${arg}`);
+  });
+  return options;
+}
+
+function localePrefix(lang) {
+  return lang === DEFAULT_LANGUAGE ? '' : `/${lang}`;
+}
+
+function localizedRoute(route, lang) {
+  const prefix = localePrefix(lang);
+  return prefix && route === '/' ? `${prefix}/` : `${prefix}${route}`;
+}
+
+// Manifest pages with an HTML file; every other page must be a passthrough
+// or a fallback page
+function listPages(manifest) {
+  const pages = manifest.pages.filter(page => page.file);
+  fs.readdirSync(ROOT).filter(file => file.endsWith('.html')).forEach(file => {
+    if (!PASSTHROUGH_PAGES.includes(file) && !FALLBACK_PAGES.includes(file) && !pages.some(page => page.file === file)) {
+      throw new Error(`${file} is not listed in config/pages.json`);
+    }
+  });
+  Object.keys(content.COLLECTIONS).forEach(name => {
+    const route = content.COLLECTIONS[name].route;
+    const page = pageManifest.findPage(manifest, route);
+    if (!page || page.collection !== name) throw new Error(`config/pages.json must list the ${name} collection at ${route}`);
+  });
+  return pages;
+}
+
+function variants(route, languages, context) {
+  return languages.map(code => ({ lang: code, url: context.baseUrl + localizedRoute(route, code) }));
+}
+
+/**
+ * Pre-render one page source for a locale.
+ *   route: the page's route; null for fallback pages, which get no
+ *   structured data or alternates
+ *   languages: the locales that have this route, for the hreflang alternates
+ */
+function renderSource(source, route, lang, context, languages = context.locales) {
+  const tree = html.parse(source);
+  const manager = new LanguageManager({ language: lang, translations: context.bundles, autoInit: false });
+
+  prerender.inlinePartials(tree);
+  const page = pageManifest.findPage(context.manifest, route);
+  if (page) {
+    const url = target => context.baseUrl + localizedRoute(target, lang);
+    pageManifest.insertStructuredData(tree, pageManifest.structuredData(page, context.manifest, manager, url, context.baseUrl));
+  }
+  content.linkLatestRelease(tree, content.latestRelease(context.content, lang, context.locales));
+  prerender.translateTree(tree, manager);
+  const table = new PricingTable(context.plans, manager);
+  prerender.renderPricing(tree, table, {
+    currency: table.resolveCurrency(manager.getLocale(lang).currency),
+    period: context.plans.defaultPeriod
+  });
+  prerender.localizeLinks(tree, context.routes.concat(context.contentRoutes[lang]), localePrefix(lang));
+  pwa.localizeManifestLink(tree, localePrefix(lang));
+  if (route) {
+    prerender.setAlternates(
+      tree,
+      context.baseUrl + localizedRoute(route, lang),
+      variants(route, languages, context)
+    );
+  }
+
+  const root = html.find(tree, el => el.tagName === 'html');
+  if (root) html.setAttr(root, 'data-prerendered', lang);
+
+  return html.serialize(tree);
+}
+
+function renderPage(page, lang, context) {
+  return renderSource(fs.readFileSync(path.join(ROOT, page.file), 'utf8'), page.route, lang, context);
+}
+
+// Blog and changelog pages and feeds of one locale; returns the page count
+function renderContent(lang, context, dir) {
+  const manager = new LanguageManager({ language: lang, translations: context.bundles, autoInit: false });
+  const prefix = localePrefix(lang);
+  const pages = content.renderPages(context.content, lang, manager, prefix, context.baseUrl);
+  pages.forEach(page => {
+    // /blog -> blog.html next to the blog/ directory of its posts
+    const file = path.join(dir, `${page.route.slice(1)}.html`);
+    const languages = content.languagesOf(context.content, page.route, context.locales);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, renderSource(page.source, page.route, lang, context, languages));
+  });
+  Object.keys(content.COLLECTIONS).forEach(name => {
+    content.renderFeeds(context.content, name, lang, manager, prefix, context.baseUrl, context.routes.concat(context.contentRoutes[lang])).forEach(feed => {
+      fs.mkdirSync(path.join(dir, path.dirname(feed.file)), { recursive: true });
+      fs.writeFileSync(path.join(dir, feed.file), feed.body);
+    });
+  });
+  return pages.length;
+}
+
+// Search entries of one locale: the manifest's pages, then posts and releases
+function siteIndex(lang, context) {
+  const manager = new LanguageManager({ language: lang, translations: context.bundles, autoInit: false });
+  const t = key => manager.getTranslation(key);
+  return context.manifest.pages
+    .map(page => ({ route: page.route, title: t(page.title), description: t(page.description) }))
+    .concat(content.searchEntries(context.content, lang, manager))
+    .map(entry => Object.assign(entry, { route: localizedRoute(entry.route, lang) }));
+}
+
+function build(options) {
+  const bundles = loadBundles();
+  const supported = Object.keys(new LanguageManager({ language: DEFAULT_LANGUAGE, autoInit: false }).locales);
+  const locales = [DEFAULT_LANGUAGE].concat(supported.filter(code => code !== DEFAULT_LANGUAGE && bundles[code]));
+  const manifest = pageManifest.loadManifest();
+  const pages = listPages(manifest);
+  const context = {
+    manifest,
+    bundles,
+    locales,
+    baseUrl: options.baseUrl,
+    plans: JSON.parse(fs.readFileSync(path.join(ROOT, 'config', 'plans.json'), 'utf8')),
+    routes: pages.map(page => page.route),
+    content: content.load(locales)
+  };
+  context.contentRoutes = {};
+  locales.forEach(lang => { context.contentRoutes[lang] = content.routes(context.content, lang); });
+
+  fs.rmSync(options.out, { recursive: true, force: true });
+  fs.mkdirSync(options.out, { recursive: true });
+
+  STATIC_ENTRIES.forEach(entry => {
+    fs.cpSync(path.join(ROOT, entry), path.join(options.out, entry), { recursive: true });
+  });
+  PASSTHROUGH_PAGES.forEach(file => fs.copyFileSync(path.join(ROOT, file), path.join(options.out, file)));
+
+  let contentPages = 0;
+  locales.forEach(lang => {
+    const dir = path.join(options.out, localePrefix(lang));
+    fs.mkdirSync(dir, { recursive: true });
+    pages.forEach(page => {
+      fs.writeFileSync(path.join(dir, page.file), renderPage(page, lang, context));
+    });
+    contentPages += renderContent(lang, context, dir);
+    FALLBACK_PAGES.forEach(file => {
+      fs.writeFileSync(path.join(dir, file), renderSource(fs.readFileSync(path.join(ROOT, file), 'utf8'), null, lang, context));
+    });
+    const manager = new LanguageManager({ language: lang, translations: context.bundles, autoInit: false });
+    fs.writeFileSync(path.join(dir, pwa.MANIFEST_NAME), pwa.webManifest(manager, localePrefix(lang)));
+  });
+
+  const index = {};
+  locales.forEach(lang => { index[lang] = siteIndex(lang, context); });
+  fs.writeFileSync(path.join(options.out, 'site-index.json'), JSON.stringify(index));
+
+  // Sitemap URLs must be percent-encoded (tag routes can be Persian words)
+  const sitemapEntry = (route, languages, updated) => ({
+    variants: languages.map(code => ({ lang: code, url: context.baseUrl + encodeURI(localizedRoute(route, code)) })),
+    updated
+  });
+  const sitemapEntries = pages.map(page => sitemapEntry(page.route, locales, page.updated))
+    .concat(content.sitemapRoutes(context.content, locales).map(page => sitemapEntry(page.route, page.languages, page.updated)));
+  fs.writeFileSync(path.join(options.out, 'sitemap.xml'), pageManifest.sitemap(sitemapEntries));
+
+  const config = appLinks.loadConfig();
+  const environments = appLinks.writeWellKnown(config, path.join(options.out, '.well-known'));
+  const hidden = pageManifest.writeRobots(config, path.join(options.out, 'robots'), `${options.baseUrl}/sitemap.xml`, ROBOTS_DISALLOW);
+  if (options.nginxMap) fs.writeFileSync(options.nginxMap, appLinks.nginxMap(config));
+  if (options.nginxRoutes) fs.writeFileSync(options.nginxRoutes, pageManifest.nginxRoutes(manifest));
+
+  // Last, so the cache version covers every other file of the build
+  const precache = locales
+    .flatMap(lang => manifest.pages.map(page => localizedRoute(page.route, lang))
+      .concat(`${localePrefix(lang)}/offline.html`, `${localePrefix(lang)}/${pwa.MANIFEST_NAME}`))
+    .concat('/site-index.json', pwa.assetUrls(options.out));
+  const version = pwa.cacheVersion(options.out);
+  fs.writeFileSync(path.join(options.out, 'sw.js'), pwa.serviceWorker(version, locales.filter(localePrefix), precache));
+
+  console.log(`[build] Rendered ${pages.length} pages in ${locales.length} locales (${locales.join(', ')}) to ${path.relative(process.cwd(), options.out) || '.'}`);
+  console.log(`[build] Blog and changelog: ${contentPages} pages`);
+  console.log(`[build] Fallback pages: ${FALLBACK_PAGES.join(', ')}; site index: ${locales.map(lang => `${index[lang].length} ${lang}`).join(', ')} entries`);
+  console.log(`[build] Sitemap: ${sitemapEntries.length} pages; crawlers disallowed on: ${hidden.length ? hidden.join(', ') : 'none'}`);
+  console.log(`[build] Service worker: cache ${version}, ${precache.length} URLs precached`);
+  console.log(`[build] App association files: ${environments.length ? environments.join(', ') : 'none (no nativeApp ids configured)'}`);
+}
+
+if (require.main === module) {
+  try {
+    build(parseArgs(process.argv.slice(2)));
+  } catch (e) {
+    console.error(`[build] ${e.message}`);
+    process.exit(1);
+  }
+}
+
+module.exports = { build, localizedRoute };
@@ -0,0 +1,282 @@
+#!/usr/bin/env node
+/**
+ * Translation coverage checker
+ * - Scans every page and partial for data-lang, data-lang-attr, data-lang-page
+ *   and data-lang-jsonld keys, plus getTranslation('...') calls (and the
+ *   translate('...') helpers wrapping it) and setAttribute('data-lang', '...')
+ *   calls in js/, the keys those scripts build in code (listed in
+ *   scripts/lib/script-keys.js), the pricing keys of config/plans.json, the
+ *   structured data keys of config/pages.json and the keys of the blog and
+ *   changelog pages
+ * - Compares them against each i18n/<code>.json bundle and reports missing keys,
+ *   unused keys and translations identical to English
+ * - Lists visible text that has no key at all
+ * - Exits non-zero when any locale falls below --min-coverage (percent)
+ *
+ * Usage:
+ *   node scripts/i18n-coverage.js [--min-coverage=90] [--json]
+ *
+ * Mark text that must stay as-is (brand names, code) with translate="no".
+ */
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const html = require('./lib/html');
+const { ROOT, DEFAULT_LANGUAGE, loadBundles, parseAttrList, pageMetaKeys } = require('./lib/i18n');
+const content = require('./lib/content');
+const pageManifest = require('./lib/pages');
+const pwa = require('./lib/pwa');
+const scriptKeys = require('./lib/script-keys');
+const PricingTable = require('../js/pricing.js');
+
+// Developer-only pages that are never shown to visitors
+const IGNORED_PAGES = ['dev.html'];
+
+// Elements whose text is never rendered or is translated through data-lang-page
+const SKIPPED_ELEMENTS = new Set(['script', 'style', 'noscript', 'template', 'title', 'head']);
+
+function parseArgs(argv) {
+  const options = { minCoverage: 90, json: false };
+  argv.forEach(arg => {
+    if (arg === '--json') options.json = true;
+    else if (arg.startsWith('--min-coverage=')) options.minCoverage = Number(arg.split('=')[1]);
+    else if (arg === '--help' || arg === '-h') options.help = true;
+    else throw new Error(`Unknown option: ${arg}`);
+  });
+  if (Number.isNaN(options.minCoverage)) throw new Error('--min-coverage expects a number');
+  return options;
+}
+
+function listPages() {
+  const pages = fs.readdirSync(ROOT)
+    .filter(file => file.endsWith('.html') && !IGNORED_PAGES.includes(file));
+  const partials = fs.readdirSync(path.join(ROOT, 'partials'))
+    .filter(file => file.endsWith('.html'))
+    .map(file => path.join('partials', file));
+  return pages.concat(partials).sort();
+}
+
+// Record every key a page references, with where it was referenced from
+function collectKeys(file, source, tree, usages) {
+  const add = (key, node, optional = false) => {
+    if (!usages.has(key)) usages.set(key, { locations: [], optional: true });
+    const usage = usages.get(key);
+    usage.locations.push(`${file}:${html.lineAt(source, node.start)}`);
+    usage.optional = usage.optional && optional;
+  };
+
+  html.findAll(tree, () => true).forEach(element => {
+    const key = html.getAttr(element, 'data-lang');
+    if (key) add(key, element);
+
+    parseAttrList(html.getAttr(element, 'data-lang-attr')).forEach(entry => add(entry.key, element));
+
+    const page = html.getAttr(element, 'data-lang-page');
+    if (page) {
+      const keys = pageMetaKeys(page);
+      keys.required.forEach(metaKey => add(metaKey, element));
+      keys.optional.forEach(metaKey => add(metaKey, element, true));
+    }
+
+    const jsonld = html.getAttr(element, 'data-lang-jsonld');
+    if (jsonld) {
+      try {
+        const fields = JSON.parse(jsonld);
+        Object.keys(fields).forEach(field => add(fields[field], element));
+      } catch (e) {
+        console.warn(`${file}:${html.lineAt(source, element.start)} invalid data-lang-jsonld`);
+      }
+    }
+  });
+}
+
+function addRequired(usages, key, location) {
+  if (!usages.has(key)) usages.set(key, { locations: [], optional: false });
+  const usage = usages.get(key);
+  usage.optional = false;
+  usage.locations.push(location);
+}
+
+// Keys passed as string literals to getTranslation()/findTranslation()/translate()
+// or setAttribute('data-lang', ...) in js/
+function collectScriptKeys(usages) {
+  const dir = path.join(ROOT, 'js');
+  fs.readdirSync(dir).filter(file => file.endsWith('.js')).forEach(file => {
+    const source = fs.readFileSync(path.join(dir, file), 'utf8');
+    const add = (key, index) => addRequired(usages, key, `js/${file}:${html.lineAt(source, index)}`);
+    const pattern = /(?:(?:getTranslation|findTranslation|translate)\(|setAttribute\(\s*['"]data-lang['"]\s*,)\s*['"]([\w.-]+)['"]/g;
+    let match;
+    while ((match = pattern.exec(source))) add(match[1], match.index);
+  });
+}
+
+// Keys js/pricing.js builds from config/plans.json; currency formats are optional
+function collectPricingKeys(usages) {
+  const file = path.join('config', 'plans.json');
+  const plans = JSON.parse(fs.readFileSync(path.join(ROOT, file), 'utf8'));
+  const add = (key, optional) => {
+    if (!usages.has(key)) usages.set(key, { locations: [], optional });
+    const usage = usages.get(key);
+    usage.optional = usage.optional && optional;
+    usage.locations.push(file);
+  };
+  PricingTable.keys(plans).forEach(key => add(key, false));
+  Object.keys(plans.currencies).forEach(code => add(`currency.${code}.format`, true));
+}
+
+// Keys of the pages scripts/lib/content.js generates
+function collectContentKeys(usages) {
+  content.KEYS.forEach(key => addRequired(usages, key, path.join('scripts', 'lib', 'content.js')));
+}
+
+// Structured data keys of the page manifest (see scripts/lib/pages.js)
+function collectManifestKeys(usages) {
+  const file = path.relative(ROOT, pageManifest.MANIFEST_FILE);
+  const manifest = pageManifest.loadManifest();
+  const org = manifest.organization;
+  [org.description, org.slogan, org.contactType].forEach(key => addRequired(usages, key, file));
+  manifest.pages.forEach(page => {
+    [page.title, page.description, page.breadcrumb].filter(Boolean).forEach(key => addRequired(usages, key, `${file} (${page.route})`));
+    if (page.breadcrumb) addRequired(usages, 'breadcrumb.home', `${file} (${page.route})`);
+  });
+}
+
+// Keys of the web app manifest scripts/lib/pwa.js writes
+function collectAppKeys(usages) {
+  pwa.KEYS.forEach(key => addRequired(usages, key, path.join('scripts', 'lib', 'pwa.js')));
+}
+
+// Keys the scripts in js/ build in code (see scripts/lib/script-keys.js)
+function collectBuiltKeys(usages) {
+  Object.keys(scriptKeys.KEYS).forEach(file => {
+    scriptKeys.KEYS[file].forEach(key => addRequired(usages, key, `${file} (scripts/lib/script-keys.js)`));
+  });
+}
+
+// Visible text nodes that no data-lang element covers
+function collectUntranslatedText(file, source, tree, results) {
+  const visit = (node, covered) => {
+    if (node.type === 'text') {
+      const text = html.decodeEntities(node.raw).replace(/\s+/g, ' ').trim();
+      if (!covered && /\p{L}/u.test(text)) {
+        results.push({ location: `${file}:${html.lineAt(source, node.start)}`, text });
+      }
+      return;
+    }
+    if (node.type !== 'element' && node.type !== 'root') return;
+    if (node.type === 'element') {
+      if (SKIPPED_ELEMENTS.has(node.tagName) || html.getAttr(node, 'translate') === 'no') return;
+      covered = covered || html.hasAttr(node, 'data-lang') || html.hasAttr(node, 'data-lang-number') || html.hasAttr(node, 'data-lang-date');
+    }
+    node.children.forEach(child => visit(child, covered));
+  };
+  visit(tree, false);
+}
+
+function sameMessage(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+function analyze() {
+  const bundles = loadBundles();
+  const usages = new Map();
+  const untranslated = [];
+  const pages = listPages();
+
+  pages.forEach(file => {
+    const source = fs.readFileSync(path.join(ROOT, file), 'utf8');
+    const tree = html.parse(source);
+    collectKeys(file, source, tree, usages);
+    collectUntranslatedText(file, source, tree, untranslated);
+  });
+  collectScriptKeys(usages);
+  collectPricingKeys(usages);
+  collectContentKeys(usages);
+  collectManifestKeys(usages);
+  collectAppKeys(usages);
+  collectBuiltKeys(usages);
+
+  const requiredKeys = Array.from(usages.keys()).filter(key => !usages.get(key).optional).sort();
+  const english = bundles[DEFAULT_LANGUAGE] || {};
+
+  const locales = Object.keys(bundles).map(code => {
+    const bundle = bundles[code];
+    const missing = requiredKeys.filter(key => bundle[key] === undefined);
+    const identical = code === DEFAULT_LANGUAGE ? [] : Object.keys(bundle)
+      .filter(key => english[key] !== undefined && sameMessage(bundle[key], english[key]))
+      .sort();
+    const unused = Object.keys(bundle).filter(key => !usages.has(key)).sort();
+    const total = requiredKeys.length + untranslated.length;
+    const translated = requiredKeys.length - missing.length;
+    return {
+      code,
+      coverage: total === 0 ? 100 : Math.round((translated / total) * 1000) / 10,
+      translated,
+      total,
+      missing: missing.map(key => ({ key, locations: usages.get(key).locations })),
+      identical,
+      unused
+    };
+  });
+
+  return { pages, keys: requiredKeys.length, locales, untranslated };
+}
+
+function printReport(report, minCoverage) {
+  const list = (title, items, format) => {
+    if (items.length === 0) return;
+    console.log(`  ${title} (${items.length}):`);
+    items.forEach(item => console.log(`    ${format(item)}`));
+  };
+
+  console.log('Translation coverage');
+  console.log(`  Pages scanned: ${report.pages.length}, keys used: ${report.keys}, text without a key: ${report.untranslated.length}`);
+
+  report.locales.forEach(locale => {
+    const status = locale.coverage >= minCoverage ? 'ok' : `below ${minCoverage}%`;
+    console.log('');
+    console.log(`[${locale.code}] ${locale.translated}/${locale.total} translated (${locale.coverage}%, ${status})`);
+    list('Missing keys', locale.missing, item => `${item.key}  (${item.locations[0]})`);
+    list('Identical to English', locale.identical, key => key);
+    list('Unused keys', locale.unused, key => key);
+  });
+
+  console.log('');
+  list('Text without a data-lang key', report.untranslated, item => `${item.location}  "${item.text.slice(0, 70)}"`);
+}
+
+function main() {
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (e) {
+    console.error(e.message);
+    process.exit(2);
+  }
+  if (options.help) {
+    console.log('Usage: node scripts/i18n-coverage.js [--min-coverage=90] [--json]');
+    return;
+  }
+
+  const report = analyze();
+  if (options.json) {
+    console.log(JSON.stringify(report, null, 2));
+  } else {
+    printReport(report, options.minCoverage);
+  }
+
+  const failing = report.locales.filter(locale => locale.coverage < options.minCoverage);
+  if (failing.length > 0) {
+    if (!options.json) {
+      console.error(`\nCoverage below ${options.minCoverage}% for: ${failing.map(locale => locale.code).join(', ')}`);
+    }
+    process.exitCode = 1;
+  }
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { analyze };
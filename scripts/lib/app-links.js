@@ -0,0 +1,124 @@
+/**
+ * Native app association files, generated from config/environments.json
+ * - /.well-known/apple-app-site-association (iOS universal links)
+ * - /.well-known/assetlinks.json (Android App Links)
+ * - One set per environment, since dev/qa/uat builds of the app can have their
+ *   own bundle ids; nginx picks the set by host through the generated map
+ */
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { ROOT } = require('./i18n');
+
+const CONFIG_FILE = path.join(ROOT, 'config', 'environments.json');
+
+// Directory name for hosts that match no environment
+const DEFAULT_ENVIRONMENT = 'default';
+
+function loadConfig(file = CONFIG_FILE) {
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+// Top-level nativeApp settings with an environment's own settings on top
+function nativeAppFor(config, environment) {
+  const base = config.nativeApp || {};
+  const own = (environment && environment.nativeApp) || {};
+  return Object.assign({}, base, own, {
+    ios: Object.assign({}, base.ios, own.ios),
+    android: Object.assign({}, base.android, own.android)
+  });
+}
+
+function appleAppSiteAssociation(nativeApp) {
+  const appIds = nativeApp.ios.appIds || [];
+  if (appIds.length === 0) return null;
+  return {
+    applinks: {
+      details: [{
+        appIDs: appIds,
+        components: [{ '/': `${nativeApp.linkPrefix || '/open'}/*`, comment: 'flutter-link deep links' }]
+      }]
+    }
+  };
+}
+
+function assetLinks(nativeApp) {
+  const android = nativeApp.android;
+  if (!android.package || !(android.sha256CertFingerprints || []).length) return null;
+  return [{
+    relation: ['delegate_permission/common.handle_all_urls'],
+    target: {
+      namespace: 'android_app',
+      package_name: android.package,
+      sha256_cert_fingerprints: android.sha256CertFingerprints
+    }
+  }];
+}
+
+/**
+ * Write <dir>/<environment>/apple-app-site-association and assetlinks.json for
+ * every environment whose app is configured. Returns the environments written.
+ */
+function writeWellKnown(config, dir) {
+  const targets = [{ name: DEFAULT_ENVIRONMENT, environment: null }]
+    .concat((config.environments || []).map(environment => ({ name: environment.name, environment })));
+  const written = [];
+
+  targets.forEach(target => {
+    const nativeApp = nativeAppFor(config, target.environment);
+    const files = {
+      'apple-app-site-association': appleAppSiteAssociation(nativeApp),
+      'assetlinks.json': assetLinks(nativeApp)
+    };
+    Object.keys(files).forEach(file => {
+      if (!files[file]) return;
+      const envDir = path.join(dir, target.name);
+      fs.mkdirSync(envDir, { recursive: true });
+      fs.writeFileSync(path.join(envDir, file), `${JSON.stringify(files[file], null, 2)}\n`);
+      if (!written.includes(target.name)) written.push(target.name);
+    });
+  });
+
+  return written;
+}
+
+/**
+ * nginx map from $host to an environment name, for locating the association
+ * files. {{DOMAIN}} is left for the Dockerfile to substitute. nginx host masks
+ * only allow a wildcard at either end, so other patterns are skipped.
+ */
+function nginxMap(config) {
+  const lines = [
+    '# Generated by scripts/build.js from config/environments.json',
+    'map $host $app_environment {',
+    '    hostnames;',
+    `    default ${DEFAULT_ENVIRONMENT};`
+  ];
+  const seen = new Set();
+  (config.environments || []).forEach(environment => {
+    (environment.hosts || []).forEach(host => {
+      const inner = host.replace(/^\*\./, '').replace(/\.\*$/, '');
+      if (inner.includes('*')) {
+        console.warn(`[build] nginx cannot match host pattern ${host}; skipped in the app links map`);
+        return;
+      }
+      if (seen.has(host)) return;
+      seen.add(host);
+      lines.push(`    ${host} ${environment.name};`);
+    });
+  });
+  lines.push('}');
+  return `${lines.join('\n')}\n`;
+}
+
+module.exports = {
+  CONFIG_FILE,
+  DEFAULT_ENVIRONMENT,
+  loadConfig,
+  nativeAppFor,
+  appleAppSiteAssociation,
+  assetLinks,
+  writeWellKnown,
+  nginxMap
+};
@@ -0,0 +1,171 @@
+/**
+ * Contact form submissions: validation, spam and rate limits, delivery
+ * - Used by scripts/contact-server.js
+ * - Field rules mirror the form in contact.html
+ */
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const SUBJECTS = ['general', 'support', 'feedback', 'bug', 'business'];
+
+// Longest accepted value per field
+const MAX_LENGTHS = { name: 100, email: 254, message: 5000, company: 200, steps: 5000, language: 10, page: 200 };
+
+// Shortest accepted value per field
+const MIN_LENGTHS = { message: 20 };
+
+// Extra fields required for some subjects
+const SUBJECT_FIELDS = { business: ['company'], bug: ['steps'] };
+
+// Keys of the optional diagnostics a bug report may carry
+const DIAGNOSTICS = ['environment', 'language', 'userAgent', 'viewport'];
+const MAX_DIAGNOSTIC_LENGTH = 500;
+
+// Hidden field that people never see; bots fill it in
+const HONEYPOT_FIELD = 'website';
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+function text(value) {
+  return typeof value === 'string' ? value.trim() : '';
+}
+
+// Known diagnostics as short strings, or null when none were sent
+function diagnostics(value) {
+  if (!value || typeof value !== 'object') return null;
+  const clean = {};
+  DIAGNOSTICS.forEach(key => {
+    const entry = text(value[key]).slice(0, MAX_DIAGNOSTIC_LENGTH);
+    if (entry) clean[key] = entry;
+  });
+  return Object.keys(clean).length > 0 ? clean : null;
+}
+
+/**
+ * Check a submitted body. Returns { message } with the cleaned fields, or
+ * { errors } mapping field names to "required", "invalid", "too_short" or
+ * "too_long".
+ */
+function validate(body) {
+  const message = {
+    name: text(body.name),
+    email: text(body.email),
+    subject: text(body.subject),
+    message: text(body.message),
+    language: text(body.language),
+    page: text(body.page)
+  };
+  const errors = {};
+
+  // Subject fields are only kept for their subjects
+  (SUBJECT_FIELDS[message.subject] || []).forEach(field => {
+    message[field] = text(body[field]);
+  });
+  const required = ['name', 'email', 'subject', 'message'].concat(SUBJECT_FIELDS[message.subject] || []);
+  required.forEach(field => {
+    if (!message[field]) errors[field] = 'required';
+  });
+  Object.keys(MAX_LENGTHS).forEach(field => {
+    if (!errors[field] && message[field] && message[field].length > MAX_LENGTHS[field]) errors[field] = 'too_long';
+  });
+  Object.keys(MIN_LENGTHS).forEach(field => {
+    if (!errors[field] && message[field].length < MIN_LENGTHS[field]) errors[field] = 'too_short';
+  });
+  if (!errors.email && !EMAIL_PATTERN.test(message.email)) errors.email = 'invalid';
+  if (!errors.subject && !SUBJECTS.includes(message.subject)) errors.subject = 'invalid';
+  if (message.subject === 'bug') {
+    const details = diagnostics(body.diagnostics);
+    if (details) message.diagnostics = details;
+  }
+
+  return Object.keys(errors).length > 0 ? { errors } : { message };
+}
+
+function isSpam(body) {
+  return text(body[HONEYPOT_FIELD]) !== '';
+}
+
+/**
+ * Sliding-window limit per key (client IP): at most `limit` hits per `windowMs`.
+ * check() returns { allowed, retryAfter } with retryAfter in seconds.
+ */
+function createRateLimiter({ limit, windowMs }) {
+  const hits = new Map();
+
+  function check(key, now = Date.now()) {
+    const recent = (hits.get(key) || []).filter(time => now - time < windowMs);
+    if (recent.length >= limit) {
+      hits.set(key, recent);
+      return { allowed: false, retryAfter: Math.ceil((recent[0] + windowMs - now) / 1000) };
+    }
+    recent.push(now);
+    hits.set(key, recent);
+    return { allowed: true, retryAfter: 0 };
+  }
+
+  // Forget clients whose window has passed
+  function prune(now = Date.now()) {
+    hits.forEach((times, key) => {
+      if (times.every(time => now - time >= windowMs)) hits.delete(key);
+    });
+  }
+
+  return { check, prune };
+}
+
+// Append each message as one JSON line to <dir>/messages.jsonl
+function createFileStore(dir) {
+  const file = path.join(dir, 'messages.jsonl');
+  return {
+    file,
+    save(record) {
+      fs.mkdirSync(dir, { recursive: true });
+      return fs.promises.appendFile(file, `${JSON.stringify(record)}\n`);
+    }
+  };
+}
+
+function createRecord(message, now = new Date()) {
+  return Object.assign({ id: crypto.randomUUID(), receivedAt: now.toISOString() }, message);
+}
+
+// Plain-text email for a stored record
+function formatEmail(record) {
+  const lines = [
+    `From: ${record.name} <${record.email}>`,
+    `Subject: ${record.subject}`,
+    record.company ? `Company: ${record.company}` : null,
+    `Language: ${record.language || '-'}`,
+    `Page: ${record.page || '-'}`,
+    `Received: ${record.receivedAt}`,
+    `ID: ${record.id}`,
+    '',
+    record.message
+  ];
+  if (record.steps) lines.push('', 'Steps to reproduce:', record.steps);
+  if (record.diagnostics) {
+    lines.push('', 'Diagnostics:');
+    Object.keys(record.diagnostics).forEach(key => lines.push(`  ${key}: ${record.diagnostics[key]}`));
+  }
+  return {
+    subject: `[Denu contact] ${record.subject}: ${record.name}`,
+    text: lines.filter(line => line !== null).join('\n')
+  };
+}
+
+module.exports = {
+  SUBJECTS,
+  MAX_LENGTHS,
+  MIN_LENGTHS,
+  SUBJECT_FIELDS,
+  HONEYPOT_FIELD,
+  validate,
+  isSpam,
+  createRateLimiter,
+  createFileStore,
+  createRecord,
+  formatEmail
+};
@@ -0,0 +1,408 @@
+/**
+ * Blog and changelog pages from Markdown
+ * - Posts live in content/blog/<lang>/<slug>.md, release notes in
+ *   content/changelog/<lang>/<version>.md; a post with the same file name in
+ *   another language is its translation
+ * - Front-matter: title and date (YYYY-MM-DD) are required; summary, tags,
+ *   author, updated, slug (blog) and version (changelog) are optional, and
+ *   draft: true leaves a file out
+ * - Pages use content/layout.html, so they share the site's navbar, drawer,
+ *   footer and scripts; scripts/build.js translates and localizes them like
+ *   every other page
+ * - Each collection gets an index page, one page per entry and RSS and Atom
+ *   feeds per language; the blog also gets one page per tag
+ */
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const html = require('./html');
+const markdown = require('./markdown');
+const { ROOT } = require('./i18n');
+
+const CONTENT_DIR = path.join(ROOT, 'content');
+const LAYOUT_FILE = path.join(CONTENT_DIR, 'layout.html');
+
+const COLLECTIONS = {
+  blog: { route: '/blog', tags: true },
+  changelog: { route: '/changelog', tags: false }
+};
+
+// Message keys the generated pages and feeds use, for scripts/i18n-coverage.js
+const KEYS = [
+  'blog.meta.title', 'blog.meta.description', 'blog.title', 'blog.description', 'blog.empty', 'blog.tags',
+  'blog.tag.title', 'blog.back', 'blog.post.title', 'blog.by',
+  'changelog.meta.title', 'changelog.meta.description', 'changelog.title', 'changelog.description',
+  'changelog.empty', 'changelog.version', 'changelog.entry.title', 'changelog.back'
+];
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// "2.0.10" sorts after "2.0.9"
+function compareVersions(a, b) {
+  const left = String(a).split(/[.-]/);
+  const right = String(b).split(/[.-]/);
+  for (let i = 0; i < Math.max(left.length, right.length); i++) {
+    const diff = (Number(left[i]) || 0) - (Number(right[i]) || 0);
+    if (diff) return diff;
+  }
+  return 0;
+}
+
+// Newest first; releases of the same day by version
+function compareEntries(a, b) {
+  if (a.date !== b.date) return a.date < b.date ? 1 : -1;
+  return compareVersions(b.slug, a.slug);
+}
+
+function readEntry(file, name) {
+  const { data, body } = markdown.parseFrontMatter(fs.readFileSync(file, 'utf8'));
+  const base = path.basename(file, '.md');
+  const slug = String((name === 'changelog' ? data.version : data.slug) || base);
+  const date = String(data.date || '');
+  if (!data.title && name !== 'changelog') throw new Error('front-matter needs a title');
+  if (!DATE_PATTERN.test(date)) throw new Error('front-matter needs a date as YYYY-MM-DD');
+  if (data.updated && !DATE_PATTERN.test(String(data.updated))) throw new Error('updated must be a date as YYYY-MM-DD');
+  if (name === 'blog' && markdown.slugify(slug) !== slug) throw new Error(`slug "${slug}" must be lowercase words joined by dashes`);
+
+  return {
+    slug,
+    route: `${COLLECTIONS[name].route}/${slug}`,
+    draft: data.draft === true,
+    title: data.title ? String(data.title) : '',
+    date,
+    updated: data.updated ? String(data.updated) : date,
+    summary: data.summary ? String(data.summary) : markdown.toText(body.split(/\n\s*\n/)[0] || ''),
+    tags: [].concat(data.tags || []).map(String),
+    author: data.author ? String(data.author) : null,
+    html: markdown.render(body)
+  };
+}
+
+/**
+ * Read every collection for the given locales:
+ *   { blog: { en: [entry], fa: [entry] }, changelog: { ... } }, newest first
+ */
+function load(locales) {
+  const content = {};
+  Object.keys(COLLECTIONS).forEach(name => {
+    content[name] = {};
+    locales.forEach(lang => {
+      const dir = path.join(CONTENT_DIR, name, lang);
+      const files = fs.existsSync(dir) ? fs.readdirSync(dir).filter(file => file.endsWith('.md')).sort() : [];
+      content[name][lang] = files
+        .map(file => {
+          try {
+            return readEntry(path.join(dir, file), name);
+          } catch (e) {
+            throw new Error(`${path.relative(ROOT, path.join(dir, file))}: ${e.message}`);
+          }
+        })
+        .filter(entry => !entry.draft)
+        .sort(compareEntries);
+    });
+  });
+  return content;
+}
+
+function tagRoute(tag) {
+  return `${COLLECTIONS.blog.route}/tags/${markdown.slugify(tag)}`;
+}
+
+// Every route generated for a language, for link localization
+function routes(content, lang) {
+  const list = [];
+  Object.keys(COLLECTIONS).forEach(name => {
+    list.push(COLLECTIONS[name].route);
+    content[name][lang].forEach(entry => {
+      list.push(entry.route);
+      if (COLLECTIONS[name].tags) entry.tags.forEach(tag => list.push(tagRoute(tag)));
+    });
+  });
+  return Array.from(new Set(list));
+}
+
+// Locales that have a page at a route, for its hreflang alternates
+function languagesOf(content, route, locales) {
+  return locales.filter(lang => routes(content, lang).includes(route));
+}
+
+/**
+ * Every generated route with the locales that have it and its last update
+ * (the newest entry on it), for the sitemap: [{ route, languages, updated }]
+ */
+function sitemapRoutes(content, locales) {
+  const pages = new Map();
+  const add = (route, lang, updated) => {
+    const page = pages.get(route) || { route, languages: [], updated: null };
+    if (!page.languages.includes(lang)) page.languages.push(lang);
+    if (updated && (!page.updated || updated > page.updated)) page.updated = updated;
+    pages.set(route, page);
+  };
+  locales.forEach(lang => {
+    Object.keys(COLLECTIONS).forEach(name => {
+      add(COLLECTIONS[name].route, lang, null);
+      content[name][lang].forEach(entry => {
+        add(COLLECTIONS[name].route, lang, entry.updated);
+        add(entry.route, lang, entry.updated);
+        if (COLLECTIONS[name].tags) entry.tags.forEach(tag => add(tagRoute(tag), lang, entry.updated));
+      });
+    });
+  });
+  return Array.from(pages.values());
+}
+
+// Newest release note in a language, else in the default (first) locale
+function latestRelease(content, lang, locales) {
+  return content.changelog[lang][0] || content.changelog[locales[0]][0] || null;
+}
+
+/**
+ * Point the footer's [data-changelog-latest] link at a release and label it
+ * with its version (through the link's data-lang message).
+ */
+function linkLatestRelease(tree, entry) {
+  if (!entry) return;
+  html.findAll(tree, el => html.hasAttr(el, 'data-changelog-latest')).forEach(link => {
+    html.setAttr(link, 'href', entry.route);
+    html.setAttr(link, 'data-lang-args', JSON.stringify({ version: entry.slug }));
+    html.setText(link, `Version ${entry.slug}`);
+  });
+}
+
+function escape(text) {
+  return html.escapeText(text);
+}
+
+function dateMarkup(date) {
+  return `<time datetime="${date}" data-lang-date="${date}" data-lang-date-options='{"dateStyle": "long"}'>${date}</time>`;
+}
+
+function tagList(tags) {
+  if (tags.length === 0) return '';
+  const items = tags.map(tag => `<li><a href="${html.escapeAttr(tagRoute(tag))}" class="tag">${escape(tag)}</a></li>`).join('');
+  return `<ul class="tag-list" data-lang-attr="aria-label:blog.tags">${items}</ul>`;
+}
+
+function feedLinks(name, prefix) {
+  const base = `${prefix}${COLLECTIONS[name].route}`;
+  return '<p class="feed-links">' +
+    `<a href="${base}/rss.xml" data-no-swap><i class="fas fa-rss" aria-hidden="true"></i> <span translate="no">RSS</span></a>` +
+    `<a href="${base}/atom.xml" data-no-swap><i class="fas fa-rss" aria-hidden="true"></i> <span translate="no">Atom</span></a>` +
+    '</p>';
+}
+
+function header(name, prefix, extra = '') {
+  return `<section class="content-header"><div class="container">` +
+    `<h1 data-lang="${name}.title"></h1><p data-lang="${name}.description"></p>${extra}${feedLinks(name, prefix)}` +
+    '</div></section>';
+}
+
+function postSummary(entry, manager) {
+  const author = entry.author ? ` · <span>${escape(manager.getTranslation('blog.by', { author: entry.author }))}</span>` : '';
+  return '<article class="post-summary">' +
+    `<h2><a href="${html.escapeAttr(entry.route)}">${escape(entry.title)}</a></h2>` +
+    `<p class="post-meta">${dateMarkup(entry.date)}${author}</p>` +
+    `<p>${escape(entry.summary)}</p>${tagList(entry.tags)}</article>`;
+}
+
+function releaseNotes(entry, heading) {
+  const title = entry.title ? `<p class="release-title">${escape(entry.title)}</p>` : '';
+  return `<article class="release" id="v${html.escapeAttr(entry.slug)}">` +
+    `<${heading}><a href="${html.escapeAttr(entry.route)}" data-lang="changelog.version" data-lang-args="${html.escapeAttr(JSON.stringify({ version: entry.slug }))}">` +
+    `Version ${escape(entry.slug)}</a></${heading}>` +
+    `<p class="post-meta">${dateMarkup(entry.date)}</p>${title}<div class="post-body">${entry.html}</div></article>`;
+}
+
+function list(items, emptyKey) {
+  const body = items.length ? items.join('\n') : `<p class="content-empty" data-lang="${emptyKey}"></p>`;
+  return `<section class="content-list"><div class="container">${body}</div></section>`;
+}
+
+function fillLayout(layout, values) {
+  return layout.replace(/\{\{(title|description|type|page|head|content)\}\}/g, (match, name) => values[name] || '');
+}
+
+function feedHead(name, prefix, title) {
+  const base = `${prefix}${COLLECTIONS[name].route}`;
+  return `    <link rel="alternate" type="application/rss+xml" title="${html.escapeAttr(title)}" href="${base}/rss.xml" />\n` +
+    `    <link rel="alternate" type="application/atom+xml" title="${html.escapeAttr(title)}" href="${base}/atom.xml" />`;
+}
+
+/**
+ * Pages of one language as [{ route, collection, source }]. The sources still
+ * carry data-lang keys; scripts/build.js translates them like any page.
+ *   manager: a LanguageManager for the language; prefix: its route prefix
+ */
+function renderPages(content, lang, manager, prefix, baseUrl) {
+  const layout = fs.readFileSync(LAYOUT_FILE, 'utf8');
+  const t = (key, args) => manager.getTranslation(key, args);
+  const attr = text => html.escapeAttr(text);
+  const pages = [];
+  const add = (route, collection, values) => pages.push({ route, collection, source: fillLayout(layout, values) });
+
+  const posts = content.blog[lang];
+  const blogHead = feedHead('blog', prefix, t('blog.meta.title'));
+  add('/blog', 'blog', {
+    page: 'blog',
+    type: 'website',
+    title: attr(t('blog.meta.title')),
+    description: attr(t('blog.meta.description')),
+    head: blogHead,
+    content: header('blog', prefix) + list(posts.map(post => postSummary(post, manager)), 'blog.empty')
+  });
+
+  posts.forEach(post => {
+    const structuredData = {
+      '@context': 'https://schema.org',
+      '@type': 'BlogPosting',
+      headline: post.title,
+      description: post.summary,
+      datePublished: post.date,
+      dateModified: post.updated,
+      inLanguage: lang,
+      url: `${baseUrl}${prefix}${post.route}`,
+      author: { '@type': post.author ? 'Person' : 'Organization', name: post.author || 'Denu' },
+      keywords: post.tags.join(', ')
+    };
+    const author = post.author ? ` · <span>${escape(t('blog.by', { author: post.author }))}</span>` : '';
+    add(post.route, 'blog', {
+      type: 'article',
+      title: attr(t('blog.post.title', { title: post.title })),
+      description: attr(post.summary),
+      head: `${blogHead}\n    <script type="application/ld+json">\n${JSON.stringify(structuredData, null, 2).replace(/</g, '\\u003c')}\n    </script>`,
+      content: '<article class="post"><div class="container">' +
+        `<p class="post-back"><a href="/blog" data-lang="blog.back"></a></p>` +
+        `<h1>${escape(post.title)}</h1><p class="post-meta">${dateMarkup(post.date)}${author}</p>${tagList(post.tags)}` +
+        `<div class="post-body">${post.html}</div></div></article>`
+    });
+  });
+
+  const tags = Array.from(new Set(posts.flatMap(post => post.tags)));
+  tags.forEach(tag => {
+    const tagged = posts.filter(post => post.tags.includes(tag));
+    add(tagRoute(tag), 'blog', {
+      type: 'website',
+      title: attr(`${t('blog.tag.title', { tag })} | ${t('blog.title')}`),
+      description: attr(t('blog.meta.description')),
+      head: blogHead,
+      content: `<section class="content-header"><div class="container"><p class="post-back"><a href="/blog" data-lang="blog.back"></a></p>` +
+        `<h1 data-lang="blog.tag.title" data-lang-args="${attr(JSON.stringify({ tag }))}"></h1></div></section>` +
+        list(tagged.map(post => postSummary(post, manager)), 'blog.empty')
+    });
+  });
+
+  const releases = content.changelog[lang];
+  const changelogHead = feedHead('changelog', prefix, t('changelog.meta.title'));
+  add('/changelog', 'changelog', {
+    page: 'changelog',
+    type: 'website',
+    title: attr(t('changelog.meta.title')),
+    description: attr(t('changelog.meta.description')),
+    head: changelogHead,
+    content: header('changelog', prefix) + list(releases.map(entry => releaseNotes(entry, 'h2')), 'changelog.empty')
+  });
+
+  releases.forEach(entry => {
+    add(entry.route, 'changelog', {
+      type: 'article',
+      title: attr(t('changelog.entry.title', { version: entry.slug })),
+      description: attr(entry.summary || t('changelog.meta.description')),
+      head: changelogHead,
+      content: '<section class="content-list"><div class="container">' +
+        `<p class="post-back"><a href="/changelog" data-lang="changelog.back"></a></p>${releaseNotes(entry, 'h1')}</div></section>`
+    });
+  });
+
+  return pages;
+}
+
+function xml(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+// Absolute URLs in feed content, so readers can follow links and load
+// images; links to pages of the site point at the feed's language
+function absolutize(markup, baseUrl, prefix, pages) {
+  return markup.replace(/(href|src)="(\/(?!\/)[^"?#]*)/g, (match, name, url) =>
+    `${name}="${baseUrl}${name === 'href' && pages.includes(url) ? prefix : ''}${url}`);
+}
+
+/**
+ * RSS 2.0 and Atom feeds of one collection in one language, as
+ * [{ file, body }] relative to the output directory. pages: the site's routes
+ * in this language, for localizing links. Dates come from the
+ * entries, so unchanged content builds identical feeds.
+ */
+function renderFeeds(content, name, lang, manager, prefix, baseUrl, pages) {
+  const entries = content[name][lang];
+  const t = (key, args) => manager.getTranslation(key, args);
+  const base = `${prefix}${COLLECTIONS[name].route}`;
+  const pageUrl = `${baseUrl}${base}`;
+  const title = t(`${name}.meta.title`);
+  const description = t(`${name}.meta.description`);
+  const updated = entries.reduce((latest, entry) => (entry.updated > latest ? entry.updated : latest), '1970-01-01');
+  const entryTitle = entry => (name === 'changelog' ? t('changelog.entry.title', { version: entry.slug }) : entry.title);
+  const iso = date => `${date}T00:00:00Z`;
+  const rfc822 = date => new Date(iso(date)).toUTCString();
+  const body = entry => absolutize(entry.html, baseUrl, prefix, pages);
+
+  const rss = '<?xml version="1.0" encoding="UTF-8"?>\n' +
+    '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">\n<channel>\n' +
+    `  <title>${xml(title)}</title>\n  <link>${xml(pageUrl)}</link>\n  <description>${xml(description)}</description>\n` +
+    `  <language>${lang}</language>\n  <lastBuildDate>${rfc822(updated)}</lastBuildDate>\n` +
+    `  <atom:link href="${xml(`${pageUrl}/rss.xml`)}" rel="self" type="application/rss+xml" />\n` +
+    entries.map(entry => '  <item>\n' +
+      `    <title>${xml(entryTitle(entry))}</title>\n    <link>${xml(baseUrl + prefix + entry.route)}</link>\n` +
+      `    <guid isPermaLink="true">${xml(baseUrl + prefix + entry.route)}</guid>\n    <pubDate>${rfc822(entry.date)}</pubDate>\n` +
+      `    <description>${xml(body(entry))}</description>\n` +
+      entry.tags.map(tag => `    <category>${xml(tag)}</category>\n`).join('') +
+      '  </item>\n').join('') +
+    '</channel>\n</rss>\n';
+
+  const atom = '<?xml version="1.0" encoding="UTF-8"?>\n' +
+    `<feed xmlns="http://www.w3.org/2005/Atom" xml:lang="${lang}">\n` +
+    `  <title>${xml(title)}</title>\n  <subtitle>${xml(description)}</subtitle>\n  <id>${xml(pageUrl)}</id>\n` +
+    `  <link href="${xml(pageUrl)}" />\n  <link href="${xml(`${pageUrl}/atom.xml`)}" rel="self" />\n` +
+    `  <updated>${iso(updated)}</updated>\n  <author><name>Denu</name></author>\n` +
+    entries.map(entry => '  <entry>\n' +
+      `    <title>${xml(entryTitle(entry))}</title>\n    <id>${xml(baseUrl + prefix + entry.route)}</id>\n` +
+      `    <link href="${xml(baseUrl + prefix + entry.route)}" />\n` +
+      `    <published>${iso(entry.date)}</published>\n    <updated>${iso(entry.updated)}</updated>\n` +
+      (entry.author ? `    <author><name>${xml(entry.author)}</name></author>\n` : '') +
+      `    <summary>${xml(entry.summary)}</summary>\n    <content type="html">${xml(body(entry))}</content>\n` +
+      entry.tags.map(tag => `    <category term="${xml(tag)}" />\n`).join('') +
+      '  </entry>\n').join('') +
+    '</feed>\n';
+
+  const dir = COLLECTIONS[name].route.slice(1);
+  return [{ file: `${dir}/rss.xml`, body: rss }, { file: `${dir}/atom.xml`, body: atom }];
+}
+
+/**
+ * Posts and releases of one language for the site search index as
+ * [{ route, title, description }], routes without the locale prefix.
+ */
+function searchEntries(content, lang, manager) {
+  const posts = content.blog[lang].map(entry => ({ route: entry.route, title: entry.title, description: entry.summary }));
+  const releases = content.changelog[lang].map(entry => ({
+    route: entry.route,
+    title: manager.getTranslation('changelog.entry.title', { version: entry.slug }),
+    description: entry.summary
+  }));
+  return posts.concat(releases);
+}
+
+module.exports = {
+  COLLECTIONS,
+  KEYS,
+  load,
+  routes,
+  languagesOf,
+  sitemapRoutes,
+  latestRelease,
+  linkLatestRelease,
+  renderPages,
+  renderFeeds,
+  searchEntries
+};
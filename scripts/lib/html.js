@@ -0,0 +1,297 @@
+/**
+ * Minimal HTML parser and serializer for the build scripts
+ * - Parses the site's own hand-written pages and partials into a small tree
+ * - Untouched nodes serialize back byte-for-byte; edited elements are re-rendered
+ * - Not a spec-compliant parser: no implied tags, unknown close tags are ignored
+ */
+'use strict';
+
+const VOID_ELEMENTS = new Set([
+  'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr'
+]);
+
+// Elements whose content is not parsed as markup
+const RAW_TEXT_ELEMENTS = new Set(['script', 'style', 'textarea', 'title']);
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', copy: '©' };
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+      return String.fromCodePoint(code);
+    }
+    return ENTITIES[entity.toLowerCase()] !== undefined ? ENTITIES[entity.toLowerCase()] : match;
+  });
+}
+
+function escapeText(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function escapeAttr(value) {
+  return String(value).replace(/&/g, '&amp;').replace(/"/g, '&quot;');
+}
+
+function parseAttributes(source) {
+  const attrs = [];
+  const pattern = /([^\s"'>\/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+  let match;
+  while ((match = pattern.exec(source))) {
+    const raw = match[2] !== undefined ? match[2] : match[3] !== undefined ? match[3] : match[4];
+    attrs.push({ name: match[1].toLowerCase(), value: raw === undefined ? '' : decodeEntities(raw) });
+  }
+  return attrs;
+}
+
+function createElement(tagName, attrs = {}, children = []) {
+  const element = {
+    type: 'element',
+    tagName: tagName.toLowerCase(),
+    attrs: Object.keys(attrs).map(name => ({ name, value: String(attrs[name]) })),
+    children: [],
+    parent: null,
+    dirty: true
+  };
+  children.forEach(child => appendChild(element, typeof child === 'string' ? createText(child) : child));
+  return element;
+}
+
+function createText(text) {
+  return { type: 'text', raw: escapeText(text), parent: null };
+}
+
+/**
+ * Parse an HTML document or fragment. Every node records its source offset
+ * in `start` so callers can report line numbers with lineAt().
+ */
+function parse(source) {
+  const root = { type: 'root', children: [], parent: null, source };
+  const stack = [root];
+  const current = () => stack[stack.length - 1];
+  const push = node => {
+    node.parent = current();
+    current().children.push(node);
+  };
+
+  let index = 0;
+  while (index < source.length) {
+    const lt = source.indexOf('<', index);
+    if (lt === -1 || lt > index) {
+      const end = lt === -1 ? source.length : lt;
+      push({ type: 'text', raw: source.slice(index, end), start: index });
+      index = end;
+      continue;
+    }
+
+    if (source.startsWith('<!--', index)) {
+      const end = source.indexOf('-->', index + 4);
+      const close = end === -1 ? source.length : end + 3;
+      push({ type: 'comment', raw: source.slice(index, close), start: index });
+      index = close;
+      continue;
+    }
+
+    if (source[index + 1] === '!' || source[index + 1] === '?') {
+      const close = source.indexOf('>', index) + 1 || source.length;
+      push({ type: 'doctype', raw: source.slice(index, close), start: index });
+      index = close;
+      continue;
+    }
+
+    const closing = /^<\/([a-zA-Z][\w:-]*)\s*>/.exec(source.slice(index));
+    if (closing) {
+      const tagName = closing[1].toLowerCase();
+      const depth = stack.map(node => node.tagName).lastIndexOf(tagName);
+      if (depth > 0) {
+        stack[depth].rawEnd = closing[0];
+        stack.length = depth;
+      }
+      index += closing[0].length;
+      continue;
+    }
+
+    const opening = /^<([a-zA-Z][\w:-]*)((?:\s+[^\s"'>\/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'=<>`]+))?)*)\s*(\/?)>/.exec(source.slice(index));
+    if (!opening) {
+      // A stray "<" is plain text
+      push({ type: 'text', raw: '<', start: index });
+      index += 1;
+      continue;
+    }
+
+    const tagName = opening[1].toLowerCase();
+    const element = {
+      type: 'element',
+      tagName,
+      attrs: parseAttributes(opening[2]),
+      children: [],
+      parent: null,
+      rawStart: opening[0],
+      rawEnd: '',
+      start: index
+    };
+    push(element);
+    index += opening[0].length;
+
+    if (VOID_ELEMENTS.has(tagName) || opening[3]) continue;
+
+    if (RAW_TEXT_ELEMENTS.has(tagName)) {
+      const closeTag = new RegExp(`</${tagName}\\s*>`, 'i');
+      const rest = source.slice(index);
+      const match = closeTag.exec(rest);
+      const end = match ? index + match.index : source.length;
+      if (end > index) {
+        element.children.push({ type: 'text', raw: source.slice(index, end), parent: element, start: index });
+      }
+      element.rawEnd = match ? match[0] : '';
+      index = match ? end + match[0].length : source.length;
+      continue;
+    }
+
+    stack.push(element);
+  }
+
+  return root;
+}
+
+function serialize(node) {
+  switch (node.type) {
+    case 'root':
+      return node.children.map(serialize).join('');
+    case 'text':
+    case 'comment':
+    case 'doctype':
+      return node.raw;
+    default: {
+      const start = node.dirty || !node.rawStart
+        ? `<${node.tagName}${node.attrs.map(attr => ` ${attr.name}="${escapeAttr(attr.value)}"`).join('')}>`
+        : node.rawStart;
+      if (VOID_ELEMENTS.has(node.tagName)) return start;
+      const end = node.rawEnd || (node.dirty ? `</${node.tagName}>` : '');
+      return start + node.children.map(serialize).join('') + end;
+    }
+  }
+}
+
+function walk(node, visit) {
+  if (visit(node) === false) return;
+  (node.children || []).forEach(child => walk(child, visit));
+}
+
+function findAll(node, predicate) {
+  const found = [];
+  walk(node, child => {
+    if (child.type === 'element' && predicate(child)) found.push(child);
+  });
+  return found;
+}
+
+function find(node, predicate) {
+  return findAll(node, predicate)[0] || null;
+}
+
+function getAttr(element, name) {
+  const attr = element.attrs.find(a => a.name === name);
+  return attr ? attr.value : null;
+}
+
+function hasAttr(element, name) {
+  return element.attrs.some(a => a.name === name);
+}
+
+function setAttr(element, name, value) {
+  const attr = element.attrs.find(a => a.name === name);
+  if (attr) attr.value = String(value);
+  else element.attrs.push({ name, value: String(value) });
+  element.dirty = true;
+}
+
+function removeAttr(element, name) {
+  element.attrs = element.attrs.filter(a => a.name !== name);
+  element.dirty = true;
+}
+
+function hasClass(element, className) {
+  return (getAttr(element, 'class') || '').split(/\s+/).includes(className);
+}
+
+function textContent(node) {
+  if (node.type === 'text') return decodeEntities(node.raw);
+  if (node.type !== 'element' && node.type !== 'root') return '';
+  return node.children.map(textContent).join('');
+}
+
+// Raw (undecoded) content of an element such as <script>
+function rawContent(element) {
+  return element.children.map(serialize).join('');
+}
+
+function setText(element, text) {
+  element.children = [];
+  appendChild(element, createText(text));
+}
+
+function setRawContent(element, raw) {
+  element.children = [{ type: 'text', raw, parent: element }];
+}
+
+function appendChild(parent, child) {
+  child.parent = parent;
+  parent.children.push(child);
+  return child;
+}
+
+function insertBefore(reference, node) {
+  const siblings = reference.parent.children;
+  node.parent = reference.parent;
+  siblings.splice(siblings.indexOf(reference), 0, node);
+  return node;
+}
+
+function replaceChildren(parent, children) {
+  parent.children = [];
+  children.forEach(child => appendChild(parent, child));
+}
+
+function remove(node) {
+  const siblings = node.parent.children;
+  siblings.splice(siblings.indexOf(node), 1);
+  node.parent = null;
+}
+
+// 1-based line number of a source offset
+function lineAt(source, offset) {
+  let line = 1;
+  for (let i = 0; i < offset && i < source.length; i++) {
+    if (source.charCodeAt(i) === 10) line++;
+  }
+  return line;
+}
+
+module.exports = {
+  VOID_ELEMENTS,
+  parse,
+  serialize,
+  walk,
+  find,
+  findAll,
+  getAttr,
+  hasAttr,
+  setAttr,
+  removeAttr,
+  hasClass,
+  textContent,
+  rawContent,
+  setText,
+  setRawContent,
+  appendChild,
+  insertBefore,
+  replaceChildren,
+  remove,
+  createElement,
+  createText,
+  decodeEntities,
+  escapeText,
+  escapeAttr,
+  lineAt
+};
@@ -0,0 +1,50 @@
+/**
+ * Shared helpers for build scripts that work with the i18n/ bundles
+ */
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.resolve(__dirname, '..', '..');
+const BUNDLE_DIR = path.join(ROOT, 'i18n');
+const DEFAULT_LANGUAGE = 'en';
+
+// Load every i18n/<code>.json bundle, keyed by locale code
+function loadBundles(dir = BUNDLE_DIR) {
+  const bundles = {};
+  fs.readdirSync(dir)
+    .filter(file => file.endsWith('.json'))
+    .sort()
+    .forEach(file => {
+      bundles[path.basename(file, '.json')] = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+    });
+  return bundles;
+}
+
+// Split data-lang-attr="aria-label:nav.menu; title:nav.menu" into [{ attribute, key }]
+function parseAttrList(value) {
+  return (value || '').split(';')
+    .map(pair => {
+      const separator = pair.indexOf(':');
+      return separator === -1 ? null : { attribute: pair.slice(0, separator).trim(), key: pair.slice(separator + 1).trim() };
+    })
+    .filter(entry => entry && entry.attribute && entry.key);
+}
+
+// Keys derived from <body data-lang-page="...">; the social variants are optional
+function pageMetaKeys(page) {
+  return {
+    required: [`${page}.meta.title`, `${page}.meta.description`],
+    optional: [`${page}.meta.social-title`, `${page}.meta.social-description`]
+  };
+}
+
+module.exports = {
+  ROOT,
+  BUNDLE_DIR,
+  DEFAULT_LANGUAGE,
+  loadBundles,
+  parseAttrList,
+  pageMetaKeys
+};
@@ -0,0 +1,179 @@
+/**
+ * Minimal Markdown and front-matter support for the blog and changelog
+ * - Front-matter: a leading "---" block of "key: value" lines; values may be
+ *   quoted, [a, b] lists, "- item" lists on the following lines, true/false
+ * - Blocks: ATX headings (with ids), paragraphs, fenced code, blockquotes,
+ *   flat bulleted and numbered lists, horizontal rules
+ * - Inline: `code`, **strong**, *em* / _em_, [links](url "title"),
+ *   ![images](src), <https://autolinks> and hard breaks (two trailing spaces)
+ * - Raw HTML is escaped, not passed through
+ */
+'use strict';
+
+const { escapeText, escapeAttr } = require('./html');
+
+function parseValue(raw) {
+  const value = raw.trim();
+  if (/^".*"$|^'.*'$/.test(value)) return value.slice(1, -1);
+  if (/^\[.*\]$/.test(value)) {
+    return value.slice(1, -1).split(',').map(parseValue).filter(item => item !== '');
+  }
+  if (value === 'true') return true;
+  if (value === 'false') return false;
+  return value;
+}
+
+/**
+ * Split a file into { data, body }. Throws on a front-matter block that is
+ * never closed or a line that is not "key: value".
+ */
+function parseFrontMatter(source) {
+  const text = source.replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+  if (!text.startsWith('---\n')) return { data: {}, body: text };
+  const end = text.indexOf('\n---', 4);
+  if (end === -1) throw new Error('Front-matter is not closed with ---');
+
+  const data = {};
+  let listKey = null;
+  text.slice(4, end).split('\n').forEach((line, index) => {
+    if (!line.trim() || line.trim().startsWith('#')) return;
+    const item = /^\s+-\s+(.*)$/.exec(line) || /^-\s+(.*)$/.exec(line);
+    if (item && listKey) {
+      data[listKey].push(parseValue(item[1]));
+      return;
+    }
+    const match = /^([\w-]+):\s*(.*)$/.exec(line);
+    if (!match) throw new Error(`Invalid front-matter line ${index + 2}: ${line}`);
+    listKey = match[2] === '' ? match[1] : null;
+    data[match[1]] = match[2] === '' ? [] : parseValue(match[2]);
+  });
+  return { data, body: text.slice(text.indexOf('\n', end + 1) + 1) };
+}
+
+// "Hello, World!" -> "hello-world"; letters of every script are kept
+function slugify(text) {
+  return String(text).toLowerCase().normalize('NFC')
+    .replace(/[^\p{L}\p{M}\p{N}]+/gu, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+// Links may only use web, mail and relative URLs
+function safeUrl(url) {
+  return /^(https?:|mailto:|\/|#|\.)/i.test(url) || !/^[\w+.-]+:/.test(url) ? url : '#';
+}
+
+// Undo escapeText() for values that are escaped again as attributes
+function unescapeText(text) {
+  return text.replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&amp;/g, '&');
+}
+
+function emphasis(text) {
+  return text
+    .replace(/\*\*(.+?)\*\*|__(.+?)__/g, (match, a, b) => `<strong>${a || b}</strong>`)
+    .replace(/(^|[^\w*])\*(?!\s)(.+?)\*(?!\w)|(^|[^\w])_(?!\s)(.+?)_(?!\w)/g, (match, p1, a, p2, b) => `${p1 || p2 || ''}<em>${a || b}</em>`);
+}
+
+function renderInline(text) {
+  const stash = [];
+  const keep = html => `\u0000${stash.push(html) - 1}\u0000`;
+  const attr = value => escapeAttr(unescapeText(value));
+
+  let out = text
+    .replace(/`([^`]+)`/g, (match, code) => keep(`<code>${escapeText(code)}</code>`))
+    .replace(/<(https?:\/\/[^\s>]+)>/g, (match, url) => keep(`<a href="${escapeAttr(url)}">${escapeText(url)}</a>`));
+  out = escapeText(out)
+    .replace(/!\[([^\]]*)\]\(([^)\s]+)(?:\s+"([^"]*)")?\)/g, (match, alt, src, title) =>
+      keep(`<img src="${attr(safeUrl(src))}" alt="${attr(alt)}"${title ? ` title="${attr(title)}"` : ''} loading="lazy">`))
+    .replace(/\[([^\]]+)\]\(([^)\s]+)(?:\s+"([^"]*)")?\)/g, (match, label, href, title) =>
+      keep(`<a href="${attr(safeUrl(href))}"${title ? ` title="${attr(title)}"` : ''}>${emphasis(label)}</a>`));
+  out = emphasis(out).replace(/ {2,}\n/g, '<br>\n');
+  return out.replace(/\u0000(\d+)\u0000/g, (match, index) => stash[Number(index)]);
+}
+
+// Render Markdown to HTML; headings get ids for links to their sections
+function render(markdown) {
+  const lines = markdown.replace(/\r\n?/g, '\n').split('\n');
+  const blocks = [];
+  const ids = new Set();
+  let paragraph = [];
+
+  const flush = () => {
+    if (paragraph.length) blocks.push(`<p>${renderInline(paragraph.join('\n'))}</p>`);
+    paragraph = [];
+  };
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+
+    const fence = /^(```|~~~)\s*([\w-]*)\s*$/.exec(line);
+    if (fence) {
+      flush();
+      const code = [];
+      while (++i < lines.length && !lines[i].startsWith(fence[1])) code.push(lines[i]);
+      const lang = fence[2] ? ` class="language-${fence[2]}"` : '';
+      blocks.push(`<pre><code${lang}>${escapeText(code.join('\n'))}</code></pre>`);
+      continue;
+    }
+
+    const heading = /^(#{1,6})\s+(.+?)\s*#*\s*$/.exec(line);
+    if (heading) {
+      flush();
+      const level = heading[1].length;
+      const base = slugify(heading[2]) || 'section';
+      let id = base;
+      for (let n = 2; ids.has(id); n++) id = `${base}-${n}`;
+      ids.add(id);
+      blocks.push(`<h${level} id="${escapeAttr(id)}">${renderInline(heading[2])}</h${level}>`);
+      continue;
+    }
+
+    if (/^(\*\s*){3,}$|^(-\s*){3,}$|^(_\s*){3,}$/.test(line.trim())) {
+      flush();
+      blocks.push('<hr>');
+      continue;
+    }
+
+    if (/^>\s?/.test(line)) {
+      flush();
+      const quote = [];
+      while (i < lines.length && /^>\s?/.test(lines[i])) quote.push(lines[i++].replace(/^>\s?/, ''));
+      i--;
+      blocks.push(`<blockquote>${render(quote.join('\n'))}</blockquote>`);
+      continue;
+    }
+
+    const listItem = /^\s*([-*+]|\d+[.)])\s+(.*)$/;
+    if (listItem.test(line)) {
+      flush();
+      const ordered = /\d/.test(listItem.exec(line)[1]);
+      const items = [];
+      while (i < lines.length) {
+        const item = listItem.exec(lines[i]);
+        if (item) items.push([item[2]]);
+        else if (/^\s+\S/.test(lines[i]) && items.length) items[items.length - 1].push(lines[i].trim());
+        else break;
+        i++;
+      }
+      i--;
+      const tag = ordered ? 'ol' : 'ul';
+      blocks.push(`<${tag}>${items.map(item => `<li>${renderInline(item.join('\n'))}</li>`).join('')}</${tag}>`);
+      continue;
+    }
+
+    if (!line.trim()) {
+      flush();
+      continue;
+    }
+    paragraph.push(line);
+  }
+  flush();
+
+  return blocks.join('\n');
+}
+
+// Plain text of a Markdown snippet, e.g. for feed summaries
+function toText(markdown) {
+  return unescapeText(render(markdown).replace(/<[^>]+>/g, '')).replace(/&quot;/g, '"').replace(/\s+/g, ' ').trim();
+}
+
+module.exports = { parseFrontMatter, render, renderInline, slugify, toText };
@@ -0,0 +1,213 @@
+/**
+ * Page manifest (config/pages.json) and what the build derives from it
+ * - Each page lists its route, its source (an HTML file, or a collection of
+ *   scripts/lib/content.js), its schema.org type and the message keys of its
+ *   structured data name, description and breadcrumb
+ * - sitemap.xml with the hreflang alternates of every page, post and release
+ * - robots.txt per environment; hosts of environments marked
+ *   "indexable": false in config/environments.json disallow every crawler
+ * - The nginx clean-URL routes (/about -> about.html)
+ * - JSON-LD blocks: the page itself (WebPage, ContactPage, ...), the
+ *   Organization on pages that set "organization" and a BreadcrumbList
+ */
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const html = require('./html');
+const { ROOT } = require('./i18n');
+const { DEFAULT_ENVIRONMENT } = require('./app-links');
+
+const MANIFEST_FILE = path.join(ROOT, 'config', 'pages.json');
+
+const REQUIRED_FIELDS = ['route', 'schema', 'title', 'description'];
+
+function loadManifest(file = MANIFEST_FILE) {
+  const manifest = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const name = path.relative(ROOT, file);
+  const routes = new Set();
+  (manifest.pages || []).forEach((page, index) => {
+    const missing = REQUIRED_FIELDS.filter(field => !page[field]);
+    if (missing.length) throw new Error(`${name}: page ${index} has no ${missing.join(', ')}`);
+    if (!page.route.startsWith('/')) throw new Error(`${name}: route ${page.route} must start with /`);
+    if (!page.file === !page.collection) throw new Error(`${name}: ${page.route} needs either a file or a collection`);
+    if (page.updated && !/^\d{4}-\d{2}-\d{2}$/.test(page.updated)) throw new Error(`${name}: ${page.route} updated must be YYYY-MM-DD`);
+    if (routes.has(page.route)) throw new Error(`${name}: ${page.route} is listed twice`);
+    routes.add(page.route);
+  });
+  return manifest;
+}
+
+function findPage(manifest, route) {
+  return manifest.pages.find(page => page.route === route) || null;
+}
+
+/**
+ * JSON-LD blocks of a page as [{ data, fields }], fields being the
+ * data-lang-jsonld map of the translated values.
+ *   manager: a LanguageManager for the page's language
+ *   url: route -> absolute URL of the route in that language; the site and
+ *   the organization always use baseUrl
+ */
+function structuredData(page, manifest, manager, url, baseUrl) {
+  const t = key => manager.getTranslation(key);
+  const org = manifest.organization;
+  const organization = { '@type': 'Organization', name: org.name, url: `${baseUrl}/`, logo: baseUrl + org.logo };
+  const contactPoint = { '@type': 'ContactPoint', email: org.email, contactType: t(org.contactType) };
+  const blocks = [];
+
+  const webPage = {
+    '@context': 'https://schema.org',
+    '@type': page.schema,
+    name: t(page.title),
+    description: t(page.description),
+    url: url(page.route),
+    inLanguage: manager.currentLanguage,
+    isPartOf: { '@type': 'WebSite', name: org.name, url: `${baseUrl}/` },
+    publisher: organization
+  };
+  const fields = { name: page.title, description: page.description };
+  if (page.updated) webPage.dateModified = page.updated;
+  if (page.schema === 'ContactPage') {
+    webPage.mainEntity = Object.assign({}, organization, { contactPoint });
+    fields['mainEntity.contactPoint.contactType'] = org.contactType;
+  }
+  blocks.push({ data: webPage, fields });
+
+  if (page.organization) {
+    blocks.push({
+      data: Object.assign({ '@context': 'https://schema.org' }, organization, {
+        description: t(org.description),
+        foundingDate: org.foundingDate,
+        slogan: t(org.slogan),
+        knowsAbout: org.knowsAbout,
+        contactPoint
+      }),
+      fields: { description: org.description, slogan: org.slogan, 'contactPoint.contactType': org.contactType }
+    });
+  }
+
+  if (page.breadcrumb) {
+    blocks.push({
+      data: {
+        '@context': 'https://schema.org',
+        '@type': 'BreadcrumbList',
+        itemListElement: [
+          { '@type': 'ListItem', position: 1, name: t('breadcrumb.home'), item: url('/') },
+          { '@type': 'ListItem', position: 2, name: t(page.breadcrumb), item: url(page.route) }
+        ]
+      },
+      fields: { 'itemListElement.0.name': 'breadcrumb.home', 'itemListElement.1.name': page.breadcrumb }
+    });
+  }
+  return blocks;
+}
+
+// Append JSON-LD blocks to a parsed page's <head>
+function insertStructuredData(tree, blocks) {
+  const head = html.find(tree, el => el.tagName === 'head');
+  if (!head) return;
+  const last = head.children[head.children.length - 1];
+  const trailing = last && last.type === 'text' && !last.raw.trim() ? last : null;
+  blocks.forEach(block => {
+    const script = html.createElement('script', { type: 'application/ld+json', 'data-lang-jsonld': JSON.stringify(block.fields) });
+    html.setRawContent(script, `\n${JSON.stringify(block.data, null, 2).replace(/</g, '\\u003c')}\n    `);
+    [html.createText('\n    '), script].forEach(node => {
+      if (trailing) html.insertBefore(trailing, node);
+      else html.appendChild(head, node);
+    });
+  });
+}
+
+function xml(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+/**
+ * sitemap.xml with one <url> per language variant, each listing all variants
+ * of its page.
+ *   entries: [{ variants: [{ lang, url }], updated }], the first variant
+ *   being the default language
+ */
+function sitemap(entries) {
+  const urls = entries.map(entry => {
+    const alternates = entry.variants.concat({ lang: 'x-default', url: entry.variants[0].url })
+      .map(variant => `    <xhtml:link rel="alternate" hreflang="${variant.lang}" href="${xml(variant.url)}" />\n`)
+      .join('');
+    return entry.variants.map(variant => '  <url>\n' +
+      `    <loc>${xml(variant.url)}</loc>\n` +
+      (entry.updated ? `    <lastmod>${entry.updated}</lastmod>\n` : '') +
+      alternates +
+      '  </url>\n').join('');
+  });
+  return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+    '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9" xmlns:xhtml="http://www.w3.org/1999/xhtml">\n' +
+    urls.join('') +
+    '</urlset>\n';
+}
+
+function robotsTxt(indexable, sitemapUrl, disallow) {
+  const rules = indexable ? disallow.map(route => `Disallow: ${route}`) : ['Disallow: /'];
+  return '# Generated by scripts/build.js from config/environments.json\n' +
+    `User-agent: *\n${rules.join('\n')}\n` +
+    (indexable ? `\nSitemap: ${sitemapUrl}\n` : '');
+}
+
+/**
+ * Write <dir>/<environment>.txt for every environment, plus the default for
+ * hosts that match none. Environments inherit the top-level "indexable"
+ * (true unless set). Returns the environments that disallow crawling.
+ *   disallow: routes kept out of the index on indexable hosts
+ */
+function writeRobots(config, dir, sitemapUrl, disallow) {
+  const fallback = config.indexable !== false;
+  const targets = [{ name: DEFAULT_ENVIRONMENT, indexable: fallback }]
+    .concat((config.environments || []).map(environment => ({
+      name: environment.name,
+      indexable: typeof environment.indexable === 'boolean' ? environment.indexable : fallback
+    })));
+
+  fs.mkdirSync(dir, { recursive: true });
+  targets.forEach(target => {
+    fs.writeFileSync(path.join(dir, `${target.name}.txt`), robotsTxt(target.indexable, sitemapUrl, disallow));
+  });
+  return targets.filter(target => !target.indexable).map(target => target.name);
+}
+
+/**
+ * nginx locations for the manifest's clean URLs, included in the server
+ * block. First-time visitors who prefer another language are redirected to
+ * its prefix (see $locale_redirect in nginx.conf); collections also serve
+ * their entries and feeds below the route.
+ */
+function nginxRoutes(manifest) {
+  const blocks = manifest.pages.map(page => {
+    const target = page.route === '/' ? '$locale_redirect/' : '$locale_redirect$uri';
+    const file = page.file ? `/${page.file}` : `${page.route}.html`;
+    const lines = [
+      `location = ${page.route} {`,
+      '    if ($locale_redirect) {',
+      `        return 302 ${target};`,
+      '    }',
+      `    try_files ${file} =404;`,
+      '}'
+    ];
+    if (page.collection) {
+      lines.push('', `location ${page.route}/ {`, '    try_files $uri $uri.html =404;', '}');
+    }
+    return lines.join('\n');
+  });
+  return `# Generated by scripts/build.js from config/pages.json\n\n${blocks.join('\n\n')}\n`;
+}
+
+module.exports = {
+  MANIFEST_FILE,
+  loadManifest,
+  findPage,
+  structuredData,
+  insertStructuredData,
+  sitemap,
+  robotsTxt,
+  writeRobots,
+  nginxRoutes
+};
@@ -0,0 +1,241 @@
+/**
+ * Build-time counterpart of LanguageManager.translatePage()
+ * - Inlines data-partial includes, nested ones included
+ * - Applies data-lang, data-lang-attr, data-lang-number/-date, data-lang-page
+ *   and data-lang-jsonld translations to a parsed page
+ * - Rewrites canonical, og:url and hreflang alternates for a locale variant
+ * - Renders the [data-pricing] plans and comparison like js/pricing.js
+ */
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const html = require('./html');
+const { ROOT, parseAttrList, pageMetaKeys } = require('./i18n');
+
+const ICON_CLASSES = ['fas', 'far', 'fab'];
+
+// Nesting limit, matching js/partials-loader.js
+const MAX_PARTIAL_DEPTH = 5;
+
+/**
+ * Fill every data-partial include with its file, recursively, the same way
+ * js/partials-loader.js does at runtime.
+ */
+function inlinePartials(node, ancestors = []) {
+  html.findAll(node, el => html.hasAttr(el, 'data-partial') && !html.hasAttr(el, 'data-partial-inlined')).forEach(element => {
+    const url = html.getAttr(element, 'data-partial');
+    if (ancestors.includes(url) || ancestors.length >= MAX_PARTIAL_DEPTH) {
+      throw new Error(`Partial include cycle or nesting too deep: ${ancestors.concat(url).join(' -> ')}`);
+    }
+    const fragment = html.parse(fs.readFileSync(path.join(ROOT, url.replace(/^\//, '')), 'utf8'));
+    html.replaceChildren(element, fragment.children);
+    // Tells partials-loader.js not to fetch this partial again
+    html.setAttr(element, 'data-partial-inlined', 'true');
+    inlinePartials(element, ancestors.concat(url));
+  });
+}
+
+function parseJsonAttr(element, name) {
+  const raw = html.getAttr(element, name);
+  if (!raw) return {};
+  try {
+    return JSON.parse(raw);
+  } catch (e) {
+    throw new Error(`Invalid ${name} JSON: ${raw}`);
+  }
+}
+
+function isIcon(node) {
+  return node.type === 'element' && node.tagName === 'i' && ICON_CLASSES.some(cls => html.hasClass(node, cls));
+}
+
+// Same rules as translatePage(): placeholders for inputs, icons kept in place
+function translateElement(element, translation) {
+  const type = html.getAttr(element, 'type');
+  if ((element.tagName === 'input' && (type === 'text' || type === 'email')) || element.tagName === 'textarea') {
+    html.setAttr(element, 'placeholder', translation);
+    return;
+  }
+
+  const icons = html.findAll(element, isIcon);
+  if (icons.length === 0) {
+    html.setText(element, translation);
+    return;
+  }
+
+  element.children = element.children.filter(node => node.type !== 'text' || !node.raw.trim());
+  const firstIcon = icons[0];
+  const iconsFirst = firstIcon.parent === element && element.children.indexOf(firstIcon) === 0;
+  if (iconsFirst) {
+    const lastIcon = icons[icons.length - 1];
+    const siblings = lastIcon.parent.children;
+    const text = html.createText(translation);
+    text.parent = lastIcon.parent;
+    siblings.splice(siblings.indexOf(lastIcon) + 1, 0, text);
+  } else {
+    html.insertBefore(firstIcon, html.createText(translation));
+  }
+}
+
+function setMetaContent(tree, matches, content) {
+  if (!content) return;
+  html.findAll(tree, el => el.tagName === 'meta' && matches(el)).forEach(meta => html.setAttr(meta, 'content', content));
+}
+
+function metaNamed(...names) {
+  return el => names.includes(html.getAttr(el, 'name')) || names.includes(html.getAttr(el, 'property'));
+}
+
+function translateMetaTags(tree, manager) {
+  const body = html.find(tree, el => el.tagName === 'body');
+  const page = body && html.getAttr(body, 'data-lang-page');
+  if (!page) return;
+
+  const keys = pageMetaKeys(page);
+  const [title, description] = keys.required.map(key => manager.findTranslation(key));
+  const socialTitle = manager.findTranslation(keys.optional[0]) || title;
+  const socialDescription = manager.findTranslation(keys.optional[1]) || description;
+
+  if (title) {
+    const titleElement = html.find(tree, el => el.tagName === 'title');
+    if (titleElement) html.setText(titleElement, title);
+  }
+  setMetaContent(tree, metaNamed('title'), title);
+  setMetaContent(tree, metaNamed('description'), description);
+  setMetaContent(tree, metaNamed('og:title', 'twitter:title'), socialTitle);
+  setMetaContent(tree, metaNamed('og:description', 'twitter:description'), socialDescription);
+}
+
+function translateStructuredData(tree, manager) {
+  html.findAll(tree, el => el.tagName === 'script' && html.hasAttr(el, 'data-lang-jsonld')).forEach(script => {
+    const fields = parseJsonAttr(script, 'data-lang-jsonld');
+    const data = JSON.parse(html.rawContent(script));
+    Object.keys(fields).forEach(field => {
+      const translation = manager.findTranslation(fields[field]);
+      if (translation) manager.setPath(data, field, translation);
+    });
+    html.setRawContent(script, `\n${JSON.stringify(data, null, 2).replace(/</g, '\\u003c')}\n`);
+  });
+}
+
+/**
+ * Translate a parsed page in place with a LanguageManager created in Node
+ * (see scripts/build.js) whose currentLanguage is the target locale.
+ */
+function translateTree(tree, manager) {
+  const lang = manager.currentLanguage;
+  const root = html.find(tree, el => el.tagName === 'html');
+  if (root) {
+    html.setAttr(root, 'lang', lang);
+    html.setAttr(root, 'dir', manager.getDirection(lang));
+  }
+
+  html.findAll(tree, el => html.hasAttr(el, 'data-lang')).forEach(element => {
+    const translation = manager.findTranslation(html.getAttr(element, 'data-lang'), parseJsonAttr(element, 'data-lang-args'));
+    if (translation) translateElement(element, translation);
+  });
+
+  html.findAll(tree, el => html.hasAttr(el, 'data-lang-attr')).forEach(element => {
+    const args = parseJsonAttr(element, 'data-lang-args');
+    parseAttrList(html.getAttr(element, 'data-lang-attr')).forEach(entry => {
+      const translation = manager.findTranslation(entry.key, args);
+      if (translation) html.setAttr(element, entry.attribute, translation);
+    });
+  });
+
+  html.findAll(tree, el => html.hasAttr(el, 'data-lang-number')).forEach(element => {
+    const value = Number(html.getAttr(element, 'data-lang-number'));
+    if (!Number.isNaN(value)) {
+      html.setText(element, manager.formatNumber(value, parseJsonAttr(element, 'data-lang-number-options')));
+    }
+  });
+
+  html.findAll(tree, el => html.hasAttr(el, 'data-lang-date')).forEach(element => {
+    const formatted = manager.formatDate(html.getAttr(element, 'data-lang-date'), parseJsonAttr(element, 'data-lang-date-options'));
+    if (formatted) html.setText(element, formatted);
+  });
+
+  translateMetaTags(tree, manager);
+  translateStructuredData(tree, manager);
+}
+
+/**
+ * Point canonical/og:url at a locale variant and replace the hreflang
+ * alternates with one link per variant plus x-default.
+ *   variants: [{ lang, url }], the first one being the default language
+ */
+function setAlternates(tree, currentUrl, variants) {
+  const head = html.find(tree, el => el.tagName === 'head');
+  if (!head) return;
+
+  html.findAll(head, el => el.tagName === 'link' && html.getAttr(el, 'rel') === 'canonical')
+    .forEach(link => html.setAttr(link, 'href', currentUrl));
+  setMetaContent(head, metaNamed('og:url', 'twitter:url'), currentUrl);
+
+  const existing = html.findAll(head, el => el.tagName === 'link' && html.getAttr(el, 'rel') === 'alternate' && html.hasAttr(el, 'hreflang'));
+  const anchor = existing[0] || null;
+  const links = variants
+    .map(variant => ({ hreflang: variant.lang, href: variant.url }))
+    .concat({ hreflang: 'x-default', href: variants[0].url });
+
+  const indent = '\n    ';
+  const nodes = [];
+  links.forEach((link, index) => {
+    if (index > 0 || !anchor) nodes.push(html.createText(indent));
+    nodes.push(html.createElement('link', { rel: 'alternate', hreflang: link.hreflang, href: link.href }));
+  });
+
+  if (!anchor) {
+    nodes.forEach(node => html.appendChild(head, node));
+    html.appendChild(head, html.createText('\n'));
+    return;
+  }
+
+  // New links take the place of the first old one; the rest go with their indentation
+  nodes.forEach(node => html.insertBefore(anchor, node));
+  existing.slice(1).forEach(link => {
+    const siblings = link.parent.children;
+    const previous = siblings[siblings.indexOf(link) - 1];
+    if (previous && previous.type === 'text' && !previous.raw.trim()) html.remove(previous);
+    html.remove(link);
+  });
+  html.remove(anchor);
+}
+
+/**
+ * Fill the [data-pricing] containers, savings labels and period buttons the
+ * same way js/pricing.js does in the browser.
+ *   table: a PricingTable; state: { currency, period }
+ */
+function renderPricing(tree, table, state) {
+  html.findAll(tree, el => html.hasAttr(el, 'data-pricing')).forEach(container => {
+    const markup = html.getAttr(container, 'data-pricing') === 'comparison' ? table.renderComparison() : table.renderPlans(state);
+    html.replaceChildren(container, html.parse(markup).children);
+  });
+  html.findAll(tree, el => html.hasAttr(el, 'data-pricing-savings')).forEach(element => {
+    html.setText(element, table.manager.getTranslation('pricing.period.savings', { percent: table.savings(state.currency) }));
+  });
+  html.findAll(tree, el => html.hasAttr(el, 'data-billing-period')).forEach(button => {
+    html.setAttr(button, 'aria-pressed', String(html.getAttr(button, 'data-billing-period') === state.period));
+  });
+}
+
+// Point links to known pages at their localized route, e.g. /about -> /fa/about
+function localizeLinks(tree, routes, prefix) {
+  if (!prefix) return;
+  html.findAll(tree, el => el.tagName === 'a' && html.hasAttr(el, 'href')).forEach(link => {
+    const href = html.getAttr(link, 'href');
+    const match = /^(\/[^?#]*)(.*)$/.exec(href);
+    if (!match || !routes.includes(match[1])) return;
+    html.setAttr(link, 'href', `${prefix}${match[1] === '/' ? '/' : match[1]}${match[2]}`);
+  });
+}
+
+module.exports = {
+  inlinePartials,
+  translateTree,
+  setAlternates,
+  localizeLinks,
+  renderPricing
+};
@@ -0,0 +1,103 @@
+/**
+ * Installable app: web app manifest and service worker
+ * - manifest.webmanifest per locale with the app's translated name and
+ *   description, the locale's start URL and the logo icons; every locale
+ *   shares one app id, so installing from /fa/ installs the same app
+ * - sw.js from the service worker source at the root, with the cache version
+ *   and the precache list of one build (see sw.js)
+ * - The cache version is a hash of every built file, so each Docker image
+ *   with a change gets a new one
+ */
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const html = require('./html');
+const { ROOT } = require('./i18n');
+
+const SERVICE_WORKER_FILE = path.join(ROOT, 'sw.js');
+const MANIFEST_NAME = 'manifest.webmanifest';
+
+// Message keys of the manifest, for scripts/i18n-coverage.js
+const KEYS = ['app.name', 'app.short-name', 'app.description'];
+
+const ICONS = [
+  { src: '/images/logo/favicon-192.png', sizes: '192x192', type: 'image/png' },
+  { src: '/images/logo/favicon-512.png', sizes: '512x512', type: 'image/png' }
+];
+
+// Directories (and single files) of the output precached as they are
+const PRECACHE_ENTRIES = ['css', 'js', 'partials', 'i18n', 'config', 'images/logo', 'images/logo.png', 'images/logo_light.svg', 'images/logo_dark.svg'];
+
+/**
+ * The manifest of one locale.
+ *   manager: a LanguageManager for the locale; prefix: its route prefix
+ */
+function webManifest(manager, prefix) {
+  const lang = manager.currentLanguage;
+  return JSON.stringify({
+    id: '/',
+    name: manager.getTranslation('app.name'),
+    short_name: manager.getTranslation('app.short-name'),
+    description: manager.getTranslation('app.description'),
+    lang,
+    dir: manager.getDirection(lang),
+    start_url: `${prefix}/`,
+    scope: '/',
+    display: 'standalone',
+    background_color: '#F8F9FA',
+    theme_color: '#FF662B',
+    icons: ICONS
+  }, null, 2) + '\n';
+}
+
+// Point a parsed page's <link rel="manifest"> at the manifest of its locale
+function localizeManifestLink(tree, prefix) {
+  html.findAll(tree, el => el.tagName === 'link' && html.getAttr(el, 'rel') === 'manifest')
+    .forEach(link => html.setAttr(link, 'href', `${prefix}/${MANIFEST_NAME}`));
+}
+
+function listFiles(dir) {
+  if (!fs.existsSync(dir)) return [];
+  if (!fs.statSync(dir).isDirectory()) return [dir];
+  return fs.readdirSync(dir).sort().flatMap(entry => listFiles(path.join(dir, entry)));
+}
+
+// URLs of the precached assets in the output directory
+function assetUrls(out) {
+  return PRECACHE_ENTRIES
+    .flatMap(entry => listFiles(path.join(out, entry)))
+    .map(file => `/${path.relative(out, file).split(path.sep).join('/')}`);
+}
+
+// Short hash of every file in the output directory
+function cacheVersion(out) {
+  const hash = crypto.createHash('sha256');
+  listFiles(out).forEach(file => {
+    hash.update(path.relative(out, file));
+    hash.update(fs.readFileSync(file));
+  });
+  return hash.digest('hex').slice(0, 12);
+}
+
+/**
+ * sw.js of a build: the source with its BUILD constant filled in.
+ *   locales: the locales with a route prefix; precache: the URLs to precache
+ */
+function serviceWorker(version, locales, precache) {
+  const source = fs.readFileSync(SERVICE_WORKER_FILE, 'utf8');
+  const pattern = /^const BUILD = .*;$/m;
+  if (!pattern.test(source)) throw new Error(`${path.relative(ROOT, SERVICE_WORKER_FILE)} has no "const BUILD = ...;" line`);
+  return source.replace(pattern, () => `const BUILD = ${JSON.stringify({ version, locales, precache }, null, 2)};`);
+}
+
+module.exports = {
+  MANIFEST_NAME,
+  KEYS,
+  webManifest,
+  localizeManifestLink,
+  assetUrls,
+  cacheVersion,
+  serviceWorker
+};
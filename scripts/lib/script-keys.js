@@ -0,0 +1,27 @@
+/**
+ * Message keys the scripts in js/ build in code, for scripts/i18n-coverage.js
+ * - The checker finds keys passed to getTranslation() and friends as string
+ *   literals; keys put together at runtime are listed here instead, per
+ *   script, and have to be kept in step with it
+ */
+'use strict';
+
+const KEYS = {
+  // Timeout and network errors, and the field error of each code
+  // (contact.form.field.<code>) or of one field and code
+  // (contact.form.field.<field>.<code>)
+  'js/contact-form.js': [
+    'contact.form.error.timeout',
+    'contact.form.error.failed',
+    'contact.form.field.required',
+    'contact.form.field.invalid',
+    'contact.form.field.too-short',
+    'contact.form.field.too-long',
+    'contact.form.field.email.invalid',
+    'contact.form.field.subject.invalid'
+  ],
+  // Label of each preference (theme.<preference>)
+  'js/theme-manager.js': ['theme.light', 'theme.dark', 'theme.system']
+};
+
+module.exports = { KEYS };
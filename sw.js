@@ -0,0 +1,118 @@
+/**
+ * Service worker
+ * - Precaches the pages, partials, styles, scripts, bundles and logos of one
+ *   build into a cache named after its version; a new Docker image brings a
+ *   new version, which takes over right away and deletes the older caches
+ * - Pages and partials: stale-while-revalidate, served from the cache and
+ *   refreshed in the background
+ * - /config/ and site-index.json: network first, the cached copy offline
+ * - Other same-origin assets: cache first; feeds and other files go to the
+ *   network
+ * - Pages that are neither cached nor reachable get offline.html of their
+ *   language
+ * - Registered by js/bootstrap.js on pages built by scripts/build.js, which
+ *   also fills in BUILD below
+ */
+'use strict';
+
+// Filled in by scripts/build.js: a hash of the built site, the locales with
+// a prefix (/fa/) and the URLs to precache. The unbuilt source precaches
+// nothing.
+const BUILD = { version: 'source', locales: [], precache: [] };
+
+const CACHE_PREFIX = 'denu-';
+const CACHE_NAME = `${CACHE_PREFIX}${BUILD.version}`;
+
+// Never served from the cache: deep links, developer info, app association
+// files, the contact API and the health check
+const NETWORK_ONLY = ['/open/', '/dev', '/.well-known/', '/api/', '/health'];
+const NETWORK_FIRST = ['/config/', '/site-index.json'];
+const ASSET_PATTERN = /\.(css|js|json|png|jpe?g|gif|svg|ico|webp|woff2?|ttf|webmanifest)$/i;
+// Other files that are not pages, left to the network (feeds, robots.txt)
+const FILE_PATTERN = /\.(xml|txt|pdf|zip|map)$/i;
+
+// Pages and partials: .html files and everything without the extension of a
+// static file, so clean URLs with dots (/changelog/2.0.0.432) are pages too;
+// js/page-navigation.js swaps in the same URLs
+function isPage(url) {
+  return !ASSET_PATTERN.test(url.pathname) && !FILE_PATTERN.test(url.pathname);
+}
+
+// Pages are cached without their query (?lang=fa, ?period=annual)
+function cacheKey(url) {
+  return isPage(url) ? url.origin + url.pathname : url.href;
+}
+
+function offlinePage(url) {
+  const locale = BUILD.locales.find(code => url.pathname === `/${code}` || url.pathname.startsWith(`/${code}/`));
+  return locale ? `/${locale}/offline.html` : '/offline.html';
+}
+
+// Store a fresh response; redirects and errors are not cached
+function store(cache, key, res) {
+  if (res.ok && res.type === 'basic' && !res.redirected) {
+    return cache.put(key, res.clone()).then(() => res);
+  }
+  return Promise.resolve(res);
+}
+
+function staleWhileRevalidate(request, url) {
+  return caches.open(CACHE_NAME).then(cache => cache.match(cacheKey(url)).then(cached => {
+    const network = fetch(request).then(res => store(cache, cacheKey(url), res));
+    if (cached) {
+      network.catch(() => {});
+      return cached;
+    }
+    return network.catch(err => {
+      if (request.mode !== 'navigate') throw err;
+      return cache.match(offlinePage(url)).then(page => page || Promise.reject(err));
+    });
+  }));
+}
+
+function networkFirst(request, url) {
+  return caches.open(CACHE_NAME).then(cache => fetch(request)
+    .then(res => store(cache, cacheKey(url), res))
+    .catch(err => cache.match(cacheKey(url)).then(cached => cached || Promise.reject(err))));
+}
+
+function cacheFirst(request, url) {
+  return caches.open(CACHE_NAME).then(cache => cache.match(cacheKey(url)).then(cached =>
+    cached || fetch(request).then(res => store(cache, cacheKey(url), res))));
+}
+
+// Precache every URL of the build; the HTTP cache is bypassed so a new
+// version never stores an older file. Pages that redirect (nginx sends
+// first-time Persian visitors from / to /fa/) are left to the runtime cache.
+self.addEventListener('install', (event) => {
+  event.waitUntil(caches.open(CACHE_NAME)
+    .then(cache => Promise.all(BUILD.precache.map(path => fetch(path, { cache: 'reload' }).then(res => {
+      if (res.redirected) return null;
+      if (!res.ok) throw new Error(`Precaching ${path} failed: HTTP ${res.status}`);
+      return cache.put(path, res);
+    }))))
+    .then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(caches.keys()
+    .then(names => Promise.all(names
+      .filter(name => name.startsWith(CACHE_PREFIX) && name !== CACHE_NAME)
+      .map(name => caches.delete(name))))
+    .then(() => self.clients.claim()));
+});
+
+self.addEventListener('fetch', (event) => {
+  const request = event.request;
+  const url = new URL(request.url);
+  if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+  if (NETWORK_ONLY.some(prefix => url.pathname.startsWith(prefix))) return;
+
+  if (NETWORK_FIRST.some(prefix => url.pathname.startsWith(prefix))) {
+    event.respondWith(networkFirst(request, url));
+  } else if (isPage(url)) {
+    event.respondWith(staleWhileRevalidate(request, url));
+  } else if (ASSET_PATTERN.test(url.pathname)) {
+    event.respondWith(cacheFirst(request, url));
+  }
+});
@@ -201,6 +201,7 @@ test_local() {
     echo "  📄 Landing Page:     http://localhost:$LOCAL_PORT/"
     echo "  📄 About Page:       http://localhost:$LOCAL_PORT/about.html"
     echo "  📄 Contact Page:     http://localhost:$LOCAL_PORT/contact.html"
+    echo "  📄 Pricing Page:     http://localhost:$LOCAL_PORT/pricing.html"
     echo ""
     print_warning "Logs:"
     echo "  Server: local.log"